@@ -0,0 +1,542 @@
+var xml2js = require('xml2js');
+var xmlbuilder = require('xmlbuilder');
+var _ = require('underscore');
+
+var datatypes = require('./datatypes');
+var errors = require('./errors');
+var objects = require('./objects');
+var xsd = require('./xsd');
+
+var BASE_PREFIXES = {
+  'http://www.w3.org/XML/1998/namespace': 'xml'
+};
+BASE_PREFIXES[xsd.XSI_NAMESPACE] = 'xsi';
+
+function splitName(name) {
+  var match = /^\{(.*)\}(.+)$/.exec(name);
+  if (match) {
+    return {
+      namespace: match[1],
+      local: match[2]
+    };
+  }
+  return {
+    namespace: null,
+    local: name.replace(/^[^:]+:/, '')
+  };
+}
+
+// Types created for nested type definitions, see XsdSchema.parseElements
+function isAnonymousTypeName(typeName) {
+  return /-type-[0-9a-f]{20}$/.test(typeName);
+}
+
+// Builds XML from objects in the same structure as Parser.parseString produces, using
+// schemas loaded into the parser. Element names are matched by their local name,
+// or by the full name if keys contain namespaces (keyStyle option of the parser).
+function Builder(parser, options) {
+  var self = this;
+
+  options = _.defaults(options || {}, {
+    // A dict of namespace URLs and prefixes to use for them. Other namespaces get generated prefixes,
+    // except for the namespace of the root element which is used as a default namespace when possible.
+    // An empty string prefix makes the namespace a default namespace.
+    prefixes: {}
+  });
+
+  self.parser = parser;
+  self.options = options;
+  self.attrkey = parser.options.attrkey;
+  self.charkey = parser.options.charkey;
+  self.xmlnskey = parser.options.xmlnskey;
+  // Ordered mixed content (orderMixedContent option of the parser), when present it is built instead of
+  // keyed children and text
+  self.childkey = parser.options.childkey;
+
+  return self;
+}
+
+// Returns all names from names matching the key
+Builder.prototype.findNames = function (names, key) {
+  var self = this;
+
+  if (_.has(names, key)) {
+    return [key];
+  }
+  var keyName = splitName(key);
+  // Prefixed names (like the root element) can be resolved only if we know the prefix,
+  // from prefixes used for keys (keyPrefixes option of the parser) or for the output
+  var prefix = /^([^{:]+):/.exec(key);
+  var namespaces = _.extend(_.invert(self.options.prefixes), _.invert(self.parser.options.keyPrefixes || {}));
+  if (prefix && _.has(namespaces, prefix[1])) {
+    keyName.namespace = namespaces[prefix[1]];
+  }
+  return _.filter(_.keys(names), function (name) {
+    var nameParts = splitName(name);
+    return nameParts.local === keyName.local && (!keyName.namespace || keyName.namespace === nameParts.namespace);
+  });
+};
+
+// Returns the first name from names matching the key, or null
+Builder.prototype.findName = function (names, key) {
+  var self = this;
+
+  return self.findNames(names, key)[0] || null;
+};
+
+Builder.prototype.derivesFrom = function (typeName, baseTypeName) {
+  var self = this;
+
+  while (self.parser.types[typeName] && _.isString(self.parser.types[typeName].base)) {
+    typeName = self.parser.types[typeName].base;
+    if (typeName === baseTypeName) {
+      return true;
+    }
+  }
+  return false;
+};
+
+// Does the value have only children and attributes allowed by the type?
+Builder.prototype.typeMatches = function (xpath, typeName, value) {
+  var self = this;
+
+  if (!objects.isPlainObject(value)) {
+    return true;
+  }
+
+  var attributes = self.parser.resolveToAttributes(xpath, typeName);
+  if (!_.every(_.keys(value[self.attrkey] || {}), function (key) {
+    return self.findName(attributes, key);
+  })) {
+    return false;
+  }
+
+  var keys = _.without(_.keys(value), self.attrkey, self.charkey, self.xmlnskey, self.childkey);
+  if (self.parser.resolveToParse(xpath, typeName).length !== 0) {
+    return _.isEmpty(keys);
+  }
+  return _.some(self.parser.resolveType(xpath, typeName), function (type) {
+    return type.anyChildren || _.every(keys, function (key) {
+      return self.findName(self.parser.substituteChildren(type.children || {}), key);
+    });
+  });
+};
+
+// Type information (xsi:type) is available in parsed objects only with namespace information
+// (preserveNamespaces option of the parser), otherwise if the value does not match the declared
+// type, we search for a type derived from it which matches the value
+Builder.prototype.resolveValueTypeName = function (xpath, typeName, value) {
+  var self = this;
+
+  var info = objects.isPlainObject(value) && value[self.xmlnskey];
+  if (info && info.xsi && info.xsi.type) {
+    var xsiTypeName = self.parser.namespacedName(info.ns || {}, info.ns && info.ns[''] || '', info.xsi.type);
+    if (xsiTypeName === typeName || self.derivesFrom(xsiTypeName, typeName)) {
+      return xsiTypeName;
+    }
+  }
+  if (self.typeMatches(xpath, typeName, value)) {
+    return typeName;
+  }
+  var derivedTypeName = _.find(_.keys(self.parser.types), function (name) {
+    return !isAnonymousTypeName(name) && self.derivesFrom(name, typeName) && self.typeMatches(xpath, name, value);
+  });
+  if (!derivedTypeName) {
+    throw new errors.ValidationError('VALUE_TYPE_MISMATCH', "Value does not match type " + typeName, {xpath: xpath, expected: typeName, actual: value});
+  }
+  return derivedTypeName;
+};
+
+Builder.prototype.serializeValue = function (xpath, typeName, value, state) {
+  var self = this;
+
+  var type = self.parser.types[typeName];
+  var converter = self.parser.converters[typeName];
+  if (converter) {
+    return converter.serialize ? converter.serialize(value) : '' + value;
+  }
+  else if (!type) {
+    throw new errors.SchemaError('TYPE_NOT_FOUND', "Type " + typeName + " not found", {xpath: xpath, expected: typeName});
+  }
+  else if (value instanceof datatypes.QName) {
+    // Prefixes are not known yet, so we keep the value and replace it in applyPrefixes
+    state.namespaces[value.namespace] = true;
+    return value;
+  }
+  else if (type.parse) {
+    return type.serialize ? type.serialize(value) : '' + value;
+  }
+  else if (type.list) {
+    // Items of lists are serialized with the item type and separated by spaces
+    return _.map(_.isArray(value) ? value : [value], function (item) {
+      return self.serializeValue(xpath, type.list, item, state);
+    }).join(' ');
+  }
+  else if (_.isArray(type.base)) {
+    // For unions we use the first member type which serializes the value so that it parses back to the same value
+    var members = _.map(type.base, function (base) {
+      return self.serializeValue(xpath, base, value, state);
+    });
+    return _.find(members, function (serialized) {
+      try {
+        return _.isEqual(self.parser.parseUnionValue(xpath, typeName, type.base, serialized), value);
+      }
+      catch (e) {
+        return false;
+      }
+    }) || members[0];
+  }
+  else if (type.base) {
+    return self.serializeValue(xpath, type.base, value, state);
+  }
+  return '' + value;
+};
+
+// Returns a pair of the (namespaced) output name and content of the element in the xml2js builder structure
+Builder.prototype.buildElement = function (xpath, name, element, value, state) {
+  var self = this;
+
+  element = self.parser.resolveElement(xpath, element);
+  if (!element.type) {
+    throw new errors.SchemaError('ELEMENT_TYPE_MISSING', "Element " + name + " does not have a type", {xpath: xpath, element: name});
+  }
+  else if (element.abstract) {
+    throw new errors.ValidationError('ABSTRACT_ELEMENT', "Abstract element " + name + " cannot be used directly", {xpath: xpath, element: name, expected: self.parser.substitutionMembers(name)});
+  }
+
+  var elementName = name;
+  if (element.unqualified) {
+    elementName = splitName(name).local;
+    state.unqualified = true;
+  }
+  else {
+    state.namespaces[splitName(name).namespace] = true;
+  }
+
+  // Prefixes declared in the parsed document are used for output when possible, the first declaration wins
+  _.each(objects.isPlainObject(value) && value[self.xmlnskey] && value[self.xmlnskey].ns || {}, function (namespace, prefix) {
+    if (!_.has(state.documentPrefixes, namespace)) {
+      state.documentPrefixes[namespace] = prefix;
+    }
+  });
+
+  var typeName = self.resolveValueTypeName(xpath, element.type, value);
+  var node = {};
+
+  var attributes = self.parser.resolveToAttributes(xpath, typeName);
+  _.each(objects.isPlainObject(value) && value[self.attrkey] || {}, function (attributeValue, key) {
+    var attributeName = self.findName(attributes, key);
+    var attributeTypeName = self.parser.resolveAttributeType(xpath, attributes[attributeName]);
+    if (!node[self.attrkey]) {
+      node[self.attrkey] = {};
+    }
+    // Only attribute references are qualified
+    if (_.isObject(attributes[attributeName]) && attributes[attributeName].ref) {
+      state.namespaces[splitName(attributeName).namespace] = true;
+      state.attributeNamespaces[splitName(attributeName).namespace] = true;
+      node[self.attrkey][attributeName] = self.serializeValue(xpath + '/@' + attributeName, attributeTypeName, attributeValue, state);
+    }
+    else {
+      node[self.attrkey][splitName(attributeName).local] = self.serializeValue(xpath + '/@' + attributeName, attributeTypeName, attributeValue, state);
+    }
+  });
+  if (typeName !== element.type) {
+    if (!node[self.attrkey]) {
+      node[self.attrkey] = {};
+    }
+    // We store the namespaced type name and replace it with a prefixed one when prefixes are known
+    node[self.attrkey]['{' + xsd.XSI_NAMESPACE + '}type'] = typeName;
+    state.namespaces[xsd.XSI_NAMESPACE] = true;
+    state.namespaces[splitName(typeName).namespace] = true;
+  }
+
+  // Null values of nillable elements are nilled with xsi:nil
+  if (element.nillable && (value === null || (objects.isPlainObject(value) && value[self.charkey] === null))) {
+    if (!node[self.attrkey]) {
+      node[self.attrkey] = {};
+    }
+    node[self.attrkey]['{' + xsd.XSI_NAMESPACE + '}nil'] = 'true';
+    state.namespaces[xsd.XSI_NAMESPACE] = true;
+    return [elementName, node];
+  }
+
+  var text = objects.isPlainObject(value) ? value[self.charkey] : value;
+  if (self.parser.resolveToParse(xpath, typeName).length !== 0) {
+    text = _.isUndefined(text) || _.isNull(text) ? '' : self.serializeValue(xpath, typeName, text, state);
+    if (!node[self.attrkey]) {
+      return [elementName, text];
+    }
+    node[self.charkey] = text;
+    return [elementName, node];
+  }
+
+  var type = _.find(self.parser.resolveType(xpath, typeName), function (t) {
+    return t.children || t.anyChildren;
+  }) || {};
+  var keys = objects.isPlainObject(value) ? _.without(_.keys(value), self.attrkey, self.charkey, self.xmlnskey, self.childkey) : [];
+
+  // Children are output in the order they are declared in the schema, with members
+  // of substitution groups where their head is
+  var children = self.parser.substituteChildren(type.children || {});
+
+  var findChild = function (key) {
+    var childName = self.findName(children, key);
+    if (childName) {
+      return {name: childName, element: children[childName]};
+    }
+    childName = type.anyChildren && self.findName(self.parser.elements, key);
+    if (!childName) {
+      throw new errors.ValidationError('UNEXPECTED_ELEMENT', "Unexpected element " + key, {xpath: xpath, element: key, expected: _.keys(children)});
+    }
+    return {name: childName, element: self.parser.elements[childName]};
+  };
+
+  if (objects.isPlainObject(value) && _.isArray(value[self.childkey])) {
+    node[self.childkey] = _.map(value[self.childkey], function (segment) {
+      if (!objects.isPlainObject(segment)) {
+        return '' + segment;
+      }
+      var key = _.keys(segment)[0];
+      var child = findChild(key);
+      return _.object([self.buildElement(xpath + '/' + child.name, child.name, child.element, segment[key], state)]);
+    });
+    return [elementName, node];
+  }
+
+  var buildChildren = function (childName, child, key) {
+    var childXpath = xpath + '/' + childName;
+    var values = value[key];
+    if (!self.parser.resolveElement(childXpath, child).isArray || !_.isArray(values)) {
+      values = [values];
+    }
+    keys = _.without(keys, key);
+    if (!values.length) {
+      return;
+    }
+    var built = _.map(values, function (childValue) {
+      return self.buildElement(childXpath, childName, child, childValue, state);
+    });
+    node[built[0][0]] = _.map(built, function (b) {
+      return b[1];
+    });
+  };
+
+  var order = _.flatten(_.map(type.order || _.keys(type.children), function (childName) {
+    var child = type.children && type.children[childName];
+    return [childName].concat(child && child.ref ? self.parser.substitutionMembers(child.ref) : []);
+  }), true);
+  _.each(_.union(order, _.keys(children)), function (childName) {
+    if (!_.has(children, childName)) {
+      return;
+    }
+    var key = _.find(keys, function (k) {
+      return self.findName(_.object([[childName, true]]), k);
+    });
+    if (key) {
+      buildChildren(childName, children[childName], key);
+    }
+  });
+  _.each(keys, function (key) {
+    var child = findChild(key);
+    buildChildren(child.name, child.element, key);
+  });
+
+  if (!_.isUndefined(text) && !_.isNull(text) && text !== '') {
+    node[self.charkey] = '' + text;
+  }
+  if (_.isEmpty(node)) {
+    return [elementName, ''];
+  }
+  return [elementName, node];
+};
+
+Builder.prototype.assignPrefixes = function (rootNamespace, state) {
+  var self = this;
+
+  var prefixes = {};
+  var usedPrefixes = _.invert(BASE_PREFIXES);
+  // Names without a namespace are used without a prefix
+  var namespaces = _.filter(_.keys(state.namespaces), _.identity);
+  var assign = function (namespace, prefix) {
+    prefixes[namespace] = prefix;
+    usedPrefixes[prefix] = true;
+  };
+  // Default namespace applies to unqualified elements as well, but not to attributes
+  var canBeDefault = function (namespace) {
+    return !state.unqualified && !state.attributeNamespaces[namespace];
+  };
+
+  _.each(namespaces, function (namespace) {
+    if (BASE_PREFIXES[namespace]) {
+      assign(namespace, BASE_PREFIXES[namespace]);
+    }
+    else if (_.has(self.options.prefixes, namespace)) {
+      assign(namespace, self.options.prefixes[namespace]);
+    }
+  });
+  _.each(namespaces, function (namespace) {
+    var prefix = state.documentPrefixes[namespace];
+    if (!_.has(prefixes, namespace) && _.isString(prefix) && !usedPrefixes[prefix] && (prefix || canBeDefault(namespace))) {
+      assign(namespace, prefix);
+    }
+  });
+  if (rootNamespace && !_.has(prefixes, rootNamespace) && _.has(state.namespaces, rootNamespace) && !usedPrefixes[''] && canBeDefault(rootNamespace)) {
+    assign(rootNamespace, '');
+  }
+
+  var counter = 0;
+  _.each(namespaces, function (namespace) {
+    if (_.has(prefixes, namespace)) {
+      return;
+    }
+    do {
+      counter++;
+    } while (usedPrefixes['ns' + counter]);
+    assign(namespace, 'ns' + counter);
+  });
+  return prefixes;
+};
+
+Builder.prototype.prefixedName = function (prefixes, name) {
+  var self = this;
+
+  var parts = splitName(name);
+  if (!parts.namespace || !prefixes[parts.namespace]) {
+    return parts.local;
+  }
+  return prefixes[parts.namespace] + ':' + parts.local;
+};
+
+Builder.prototype.applyPrefixes = function (prefixes, node) {
+  var self = this;
+
+  if (node instanceof datatypes.QName) {
+    return self.prefixedName(prefixes, '' + node);
+  }
+  else if (!objects.isPlainObject(node)) {
+    return node;
+  }
+
+  var prefixed = {};
+  _.each(node, function (child, key) {
+    if (key === self.attrkey) {
+      prefixed[key] = {};
+      _.each(child, function (value, attribute) {
+        if (attribute === '{' + xsd.XSI_NAMESPACE + '}type') {
+          value = self.prefixedName(prefixes, value);
+        }
+        prefixed[key][self.prefixedName(prefixes, attribute)] = self.applyPrefixes(prefixes, value);
+      });
+    }
+    else if (key === self.charkey) {
+      prefixed[key] = self.applyPrefixes(prefixes, child);
+    }
+    else if (key === self.childkey) {
+      prefixed[key] = _.map(child, function (segment) {
+        if (!objects.isPlainObject(segment)) {
+          return segment;
+        }
+        return _.object(_.map(segment, function (c, k) {
+          return [self.prefixedName(prefixes, k), self.applyPrefixes(prefixes, c)];
+        }));
+      });
+    }
+    else {
+      prefixed[self.prefixedName(prefixes, key)] = _.map(child, function (c) {
+        return self.applyPrefixes(prefixes, c);
+      });
+    }
+  });
+  return prefixed;
+};
+
+Builder.prototype.buildObject = function (rootObj) {
+  var self = this;
+
+  if (!objects.isPlainObject(rootObj) || _.size(rootObj) !== 1) {
+    throw new errors.ValidationError('INVALID_ROOT', "Exactly one root element expected", {actual: _.isObject(rootObj) ? _.keys(rootObj) : rootObj});
+  }
+
+  var key = _.keys(rootObj)[0];
+  // Multiple schemas can have a root element with the same local name, so we use the one matching the value
+  var names = self.findNames(self.parser.elements, key);
+  var name = _.find(names, function (n) {
+    var element = self.parser.resolveElement('/' + n, self.parser.elements[n]);
+    return element.type && self.typeMatches('/' + n, element.type, rootObj[key]);
+  }) || names[0];
+  if (!name) {
+    throw new errors.ValidationError('UNEXPECTED_ELEMENT', "Unexpected root element " + key, {element: key, expected: _.keys(self.parser.elements)});
+  }
+
+  var state = {
+    namespaces: {},
+    attributeNamespaces: {},
+    // Namespace URLs and prefixes from preserved namespace information
+    documentPrefixes: {},
+    unqualified: false
+  };
+  var built = self.buildElement('/' + name, name, self.parser.elements[name], rootObj[key], state);
+
+  var prefixes = self.assignPrefixes(splitName(name).namespace, state);
+  var root = self.applyPrefixes(prefixes, objects.isPlainObject(built[1]) ? built[1] : _.object([[self.charkey, built[1]]]));
+
+  var declarations = {};
+  _.each(prefixes, function (prefix, namespace) {
+    if (prefix !== BASE_PREFIXES['http://www.w3.org/XML/1998/namespace']) {
+      declarations[prefix ? 'xmlns:' + prefix : 'xmlns'] = namespace;
+    }
+  });
+  root[self.attrkey] = _.extend(declarations, root[self.attrkey]);
+
+  // Options of the xml2js builder with its defaults
+  var options = new xml2js.Builder(_.omit(self.options, 'prefixes', 'rootName')).options;
+  var rootElement = xmlbuilder.create(self.prefixedName(prefixes, built[0]), options.xmldec, options.doctype, {
+    headless: options.headless
+  });
+  return self.render(rootElement, root).end(options.renderOpts);
+};
+
+// Renders a node of the xml2js builder structure into an xmlbuilder element, as the xml2js
+// builder does, and also ordered content under childkey (which it does not support)
+Builder.prototype.render = function (element, node) {
+  var self = this;
+
+  if (!_.isObject(node)) {
+    return element.txt(node);
+  }
+  // Keys are iterated explicitly, _.each would treat objects with a length key as arrays
+  _.each(_.keys(node), function (key) {
+    var child = node[key];
+    if (key === self.attrkey) {
+      _.each(_.keys(child), function (attribute) {
+        element.att(attribute, child[attribute]);
+      });
+    }
+    else if (key === self.charkey) {
+      element.txt(child);
+    }
+    else if (key === self.childkey) {
+      _.each(child, function (segment) {
+        if (objects.isPlainObject(segment)) {
+          self.render(element, segment);
+        }
+        else {
+          element.txt(segment);
+        }
+      });
+    }
+    else {
+      _.each(_.isArray(child) ? child : [child], function (entry) {
+        if (_.isObject(entry)) {
+          self.render(element.ele(key), entry);
+        }
+        else {
+          element.ele(key, '' + entry);
+        }
+      });
+    }
+  });
+  return element;
+};
+
+exports.Builder = Builder;
@@ -0,0 +1,197 @@
+// Support for XML catalogs which map schema locations and namespaces to local files.
+// OASIS XML Catalogs (http://www.oasis-open.org/committees/download.php/14809/xml-catalogs.html)
+// are supported with system, uri, rewriteSystem, rewriteURI, group and nextCatalog entries.
+// A simple JSON mapping is supported as well, either with the same entry types:
+//
+//   {"system": {"http://example.com/schema.xsd": "schema.xsd"}, "uri": {...}, "rewriteSystem": {"http://example.com/": "schemas/"}}
+//
+// or as a flat object mapping schema locations or namespaces directly to files.
+
+var async = require('async');
+var fs = require('fs');
+var path = require('path');
+var xml2js = require('xml2js');
+var _ = require('underscore');
+
+var errors = require('./errors');
+
+var ENTRY_TYPES = ['system', 'uri', 'rewriteSystem', 'rewriteURI'];
+
+function Catalog(basePath) {
+  var self = this;
+
+  // Relative file paths are resolved against this directory
+  self.basePath = basePath;
+  self.system = {};
+  self.uri = {};
+  // Lists of [prefix, rewritePrefix] pairs
+  self.rewriteSystem = [];
+  self.rewriteURI = [];
+  // Catalogs consulted when no entry matches
+  self.nextCatalogs = [];
+
+  return self;
+}
+
+Catalog.prototype.resolvePath = function (file) {
+  var self = this;
+
+  return path.resolve(self.basePath, file);
+};
+
+function rewrite(rewrites, identifier) {
+  // The longest matching prefix wins
+  var match = null;
+  _.each(rewrites, function (entry) {
+    if (identifier.slice(0, entry[0].length) === entry[0] && (!match || entry[0].length > match[0].length)) {
+      match = entry;
+    }
+  });
+  return match && match[1] + identifier.slice(match[0].length);
+}
+
+// Returns a local file for a schema location, or for a namespace if schema location is not
+// given or not found in the catalog. Returns null if catalog does not know about them.
+Catalog.prototype.resolve = function (namespace, schemaLocation) {
+  var self = this;
+
+  var file = null;
+  if (schemaLocation) {
+    file = self.system[schemaLocation] || self.uri[schemaLocation] || rewrite(self.rewriteSystem, schemaLocation) || rewrite(self.rewriteURI, schemaLocation);
+  }
+  if (!file && namespace) {
+    file = self.uri[namespace] || rewrite(self.rewriteURI, namespace);
+  }
+  if (file) {
+    return self.resolvePath(file);
+  }
+
+  for (var i = 0; i < self.nextCatalogs.length; i++) {
+    file = self.nextCatalogs[i].resolve(namespace, schemaLocation);
+    if (file) {
+      return file;
+    }
+  }
+
+  return null;
+};
+
+function localName(name) {
+  return name.replace(/^[^:]+:/, '');
+}
+
+// Collects entries from (the children of) a catalog or a group element, returns a list of next catalogs
+function parseEntries(catalog, element) {
+  var nextCatalogs = [];
+  _.each(element, function (children, name) {
+    if (name === '$' || name === '_') {
+      return;
+    }
+    _.each(children, function (child) {
+      var attributes = child.$ || {};
+      switch (localName(name)) {
+        case 'system':
+          catalog.system[attributes.systemId] = attributes.uri;
+          break;
+        case 'uri':
+          catalog.uri[attributes.name] = attributes.uri;
+          break;
+        case 'rewriteSystem':
+          catalog.rewriteSystem.push([attributes.systemIdStartString, attributes.rewritePrefix]);
+          break;
+        case 'rewriteURI':
+          catalog.rewriteURI.push([attributes.uriStartString, attributes.rewritePrefix]);
+          break;
+        case 'group':
+          nextCatalogs = nextCatalogs.concat(parseEntries(catalog, child));
+          break;
+        case 'nextCatalog':
+          nextCatalogs.push(catalog.resolvePath(attributes.catalog));
+          break;
+        // Other entries (public, delegate*, ...) are not relevant for schemas
+      }
+    });
+  });
+  return nextCatalogs;
+}
+
+function invalidCatalog(message) {
+  return new errors.SchemaError('INVALID_CATALOG', message);
+}
+
+function parseXmlCatalog(content, basePath, cb) {
+  xml2js.parseString(content, function (err, result) {
+    if (err) {
+      cb(invalidCatalog("Invalid XML catalog in " + basePath + ": " + err));
+      return;
+    }
+
+    if (!result || _.size(result) !== 1 || localName(_.keys(result)[0]) !== 'catalog') {
+      cb(invalidCatalog("Invalid XML catalog in " + basePath));
+      return;
+    }
+
+    var catalog = new Catalog(basePath);
+    var nextCatalogs = parseEntries(catalog, _.values(result)[0]);
+    async.mapSeries(nextCatalogs, loadCatalog, function (err, catalogs) {
+      if (err) {
+        cb(err);
+        return;
+      }
+
+      catalog.nextCatalogs = catalogs;
+      cb(null, catalog);
+    });
+  });
+}
+
+function parseJsonCatalog(mapping, basePath) {
+  var catalog = new Catalog(basePath);
+  if (_.isEmpty(_.intersection(_.keys(mapping), ENTRY_TYPES))) {
+    // A flat mapping
+    _.extend(catalog.system, mapping);
+    _.extend(catalog.uri, mapping);
+  }
+  else {
+    _.extend(catalog.system, mapping.system);
+    _.extend(catalog.uri, mapping.uri);
+    catalog.rewriteSystem = _.pairs(mapping.rewriteSystem || {});
+    catalog.rewriteURI = _.pairs(mapping.rewriteURI || {});
+  }
+  return catalog;
+}
+
+// Loads a catalog from a file (JSON files are recognized by .json extension, others are
+// expected to be OASIS XML Catalogs), or from an object with a JSON mapping.
+function loadCatalog(source, cb) {
+  if (_.isObject(source)) {
+    cb(null, parseJsonCatalog(source, process.cwd()));
+    return;
+  }
+
+  fs.readFile(source, {encoding: 'utf-8'}, function (err, content) {
+    if (err) {
+      cb(invalidCatalog("Error reading catalog " + source + ": " + err));
+      return;
+    }
+
+    var basePath = path.dirname(path.resolve(source));
+    if (path.extname(source) === '.json') {
+      var mapping;
+      try {
+        mapping = JSON.parse(content);
+      }
+      catch (e) {
+        cb(invalidCatalog("Invalid JSON catalog " + source + ": " + e));
+        return;
+      }
+      cb(null, parseJsonCatalog(mapping, basePath));
+    }
+    else {
+      parseXmlCatalog(content, basePath, cb);
+    }
+  });
+}
+
+exports.Catalog = Catalog;
+exports.loadCatalog = loadCatalog;
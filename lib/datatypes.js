@@ -0,0 +1,347 @@
+// JavaScript representations of XML Schema types without a direct JavaScript counterpart:
+// duration, time, Gregorian fragments (gYearMonth, gYear, gMonthDay, gDay, gMonth) and QName.
+// Instances serialize back to their lexical form with toString. Also configurable representations
+// of numbers which do not fit into a JavaScript number.
+
+var util = require('util');
+var _ = require('underscore');
+
+var errors = require('./errors');
+
+var TIMEZONE = '(Z|[+\\-]\\d{2}:\\d{2})?';
+
+function pad(number, length) {
+  var str = '' + Math.abs(number);
+  while (str.length < length) {
+    str = '0' + str;
+  }
+  return (number < 0 ? '-' : '') + str;
+}
+
+// Timezone as an offset from UTC in minutes, or null if the value has no timezone
+function parseTimezone(timezone) {
+  if (!timezone) {
+    return null;
+  }
+  else if (timezone === 'Z') {
+    return 0;
+  }
+  var sign = timezone[0] === '-' ? -1 : 1;
+  return sign * (parseInt(timezone.slice(1, 3), 10) * 60 + parseInt(timezone.slice(4, 6), 10));
+}
+
+function formatTimezone(timezone) {
+  if (timezone === null || _.isUndefined(timezone)) {
+    return '';
+  }
+  else if (timezone === 0) {
+    return 'Z';
+  }
+  var offset = Math.abs(timezone);
+  return (timezone < 0 ? '-' : '+') + pad(Math.floor(offset / 60), 2) + ':' + pad(offset % 60, 2);
+}
+
+function invalid(typeName, value) {
+  return new errors.ValidationError('INVALID_VALUE', "Invalid " + typeName + " value " + util.inspect(value), {expected: typeName, actual: value});
+}
+
+function Duration(fields) {
+  var self = this;
+
+  self.negative = !!fields.negative;
+  self.years = fields.years || 0;
+  self.months = fields.months || 0;
+  self.days = fields.days || 0;
+  self.hours = fields.hours || 0;
+  self.minutes = fields.minutes || 0;
+  self.seconds = fields.seconds || 0;
+
+  return self;
+}
+
+Duration.parse = function (value) {
+  var match = /^(-)?P(?:(\d+)Y)?(?:(\d+)M)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+(?:\.\d+)?)S)?)?$/.exec(value);
+  // At least one field is required, also after T
+  if (!match || /[PT]$/.test(value)) {
+    throw invalid('duration', value);
+  }
+  return new Duration({
+    negative: !!match[1],
+    years: parseInt(match[2] || 0, 10),
+    months: parseInt(match[3] || 0, 10),
+    days: parseInt(match[4] || 0, 10),
+    hours: parseInt(match[5] || 0, 10),
+    minutes: parseInt(match[6] || 0, 10),
+    seconds: parseFloat(match[7] || 0)
+  });
+};
+
+// Total length in milliseconds, or null if the duration has years or months, whose length varies
+Duration.prototype.toMilliseconds = function () {
+  var self = this;
+
+  if (self.years || self.months) {
+    return null;
+  }
+  var milliseconds = Math.round((((self.days * 24 + self.hours) * 60 + self.minutes) * 60 + self.seconds) * 1000);
+  return self.negative ? -milliseconds : milliseconds;
+};
+
+Duration.prototype.toString = function () {
+  var self = this;
+
+  var date = (self.years ? self.years + 'Y' : '') + (self.months ? self.months + 'M' : '') + (self.days ? self.days + 'D' : '');
+  var time = (self.hours ? self.hours + 'H' : '') + (self.minutes ? self.minutes + 'M' : '') + (self.seconds ? self.seconds + 'S' : '');
+  if (!date && !time) {
+    time = '0S';
+  }
+  return (self.negative ? '-' : '') + 'P' + date + (time ? 'T' + time : '');
+};
+
+function Time(fields) {
+  var self = this;
+
+  self.hours = fields.hours;
+  self.minutes = fields.minutes;
+  // Can have a fractional part
+  self.seconds = fields.seconds;
+  self.timezone = _.isUndefined(fields.timezone) ? null : fields.timezone;
+
+  return self;
+}
+
+var TIME_LEXICAL = new RegExp('^\\d{2}:\\d{2}:\\d{2}(\\.\\d+)?' + TIMEZONE + '$');
+
+Time.parse = function (value) {
+  if (!TIME_LEXICAL.test(value)) {
+    throw invalid('time', value);
+  }
+  return new Time({
+    hours: parseInt(value.slice(0, 2), 10),
+    minutes: parseInt(value.slice(3, 5), 10),
+    seconds: parseFloat(/^[^Z+\-]*/.exec(value.slice(6))[0]),
+    timezone: parseTimezone(/(Z|[+\-]\d{2}:\d{2})?$/.exec(value)[1])
+  });
+};
+
+Time.prototype.toString = function () {
+  var self = this;
+
+  var seconds = pad(Math.floor(self.seconds), 2) + ('' + self.seconds).replace(/^\d+/, '');
+  return pad(self.hours, 2) + ':' + pad(self.minutes, 2) + ':' + seconds + formatTimezone(self.timezone);
+};
+
+// A value of one of Gregorian fragment types. Only fields present in the type are set.
+function GregorianValue(fields) {
+  var self = this;
+
+  _.each(['year', 'month', 'day'], function (field) {
+    if (_.has(fields, field)) {
+      self[field] = fields[field];
+    }
+  });
+  self.timezone = _.isUndefined(fields.timezone) ? null : fields.timezone;
+
+  return self;
+}
+
+var GREGORIAN_TYPES = {
+  gYearMonth: {
+    pattern: /^(-?\d{4,})-(\d{2})/,
+    fields: ['year', 'month']
+  },
+  gYear: {
+    pattern: /^(-?\d{4,})/,
+    fields: ['year']
+  },
+  gMonthDay: {
+    pattern: /^--(\d{2})-(\d{2})/,
+    fields: ['month', 'day']
+  },
+  gDay: {
+    pattern: /^---(\d{2})/,
+    fields: ['day']
+  },
+  gMonth: {
+    pattern: /^--(\d{2})/,
+    fields: ['month']
+  }
+};
+
+_.each(GREGORIAN_TYPES, function (gregorianType) {
+  gregorianType.lexical = new RegExp(gregorianType.pattern.source + TIMEZONE + '$');
+});
+
+GregorianValue.parser = function (typeName) {
+  var gregorianType = GREGORIAN_TYPES[typeName];
+  return function (value) {
+    var match = gregorianType.lexical.exec(value);
+    if (!match) {
+      throw invalid(typeName, value);
+    }
+    var fields = {
+      timezone: parseTimezone(match[gregorianType.fields.length + 1])
+    };
+    _.each(gregorianType.fields, function (field, i) {
+      fields[field] = parseInt(match[i + 1], 10);
+    });
+    return new GregorianValue(fields);
+  };
+};
+
+GregorianValue.prototype.toString = function () {
+  var self = this;
+
+  var str;
+  if (_.has(self, 'year')) {
+    str = pad(self.year, 4) + (_.has(self, 'month') ? '-' + pad(self.month, 2) : '');
+  }
+  else if (_.has(self, 'month')) {
+    str = '--' + pad(self.month, 2) + (_.has(self, 'day') ? '-' + pad(self.day, 2) : '');
+  }
+  else {
+    str = '---' + pad(self.day, 2);
+  }
+  return str + formatTimezone(self.timezone);
+};
+
+function QName(namespace, localName) {
+  var self = this;
+
+  // Empty string if the name is not in any namespace
+  self.namespace = namespace;
+  self.localName = localName;
+
+  return self;
+}
+
+var QNAME_LEXICAL = /^([^:\s]+:)?[^:\s]+$/;
+
+// Resolves a prefixed name using a dict of in-scope namespace prefixes
+QName.parse = function (value, namespaces) {
+  if (!QNAME_LEXICAL.test(value)) {
+    throw invalid('QName', value);
+  }
+  namespaces = namespaces || {};
+  var parts = value.split(':');
+  if (parts.length === 1) {
+    return new QName(namespaces[''] || '', parts[0]);
+  }
+  else if (!namespaces[parts[0]]) {
+    throw new errors.ValidationError('UNKNOWN_PREFIX', "Unknown namespace prefix in QName value " + util.inspect(value), {actual: value});
+  }
+  return new QName(namespaces[parts[0]], parts[1]);
+};
+
+// Clark notation, a builder replaces it with a prefixed name
+QName.prototype.toString = function () {
+  var self = this;
+
+  return '{' + self.namespace + '}' + self.localName;
+};
+
+// Milliseconds since the epoch of a date and time in UTC, for any year
+function utcTime(year, month, day, milliseconds) {
+  var date = new Date(0);
+  date.setUTCFullYear(year, month - 1, day);
+  return date.getTime() + milliseconds;
+}
+
+// XML Schema orders durations by adding them to these dateTimes, they are not ordered if results differ
+var DURATION_REFERENCES = [[1696, 9], [1697, 2], [1903, 3], [1903, 7]];
+
+function compareDurations(a, b) {
+  var instants = function (duration) {
+    var sign = duration.negative ? -1 : 1;
+    var milliseconds = (((duration.days * 24 + duration.hours) * 60 + duration.minutes) * 60 + duration.seconds) * 1000;
+    return _.map(DURATION_REFERENCES, function (reference) {
+      return utcTime(reference[0], reference[1] + sign * (duration.years * 12 + duration.months), 1, sign * milliseconds);
+    });
+  };
+  var results = _.uniq(_.map(_.zip(instants(a), instants(b)), function (pair) {
+    return pair[0] < pair[1] ? -1 : (pair[0] > pair[1] ? 1 : 0);
+  }));
+  return results.length === 1 ? results[0] : NaN;
+}
+
+// Values with a timezone are compared in UTC, a value without a timezone can be in any timezone
+// between -14:00 and +14:00 and is ordered with a value with a timezone only outside of that range
+function compareInstants(a, aTimezone, b, bTimezone) {
+  var range = (aTimezone === null) !== (bTimezone === null) ? 14 * 60 * 60000 : 0;
+  a -= (aTimezone || 0) * 60000;
+  b -= (bTimezone || 0) * 60000;
+  if (a + range < b) {
+    return -1;
+  }
+  else if (a - range > b) {
+    return 1;
+  }
+  return range ? NaN : 0;
+}
+
+// Compares two values of the same duration, time or Gregorian type, returns a negative or positive
+// number or 0, NaN if they are not ordered, or null if they are not values of these types
+function compareValues(a, b) {
+  if (a instanceof Duration && b instanceof Duration) {
+    return compareDurations(a, b);
+  }
+  else if (a instanceof Time && b instanceof Time) {
+    var milliseconds = function (time) {
+      return ((time.hours * 60 + time.minutes) * 60 + time.seconds) * 1000;
+    };
+    return compareInstants(milliseconds(a), a.timezone, milliseconds(b), b.timezone);
+  }
+  else if (a instanceof GregorianValue && b instanceof GregorianValue) {
+    // Fragments are ordered by their first instant, missing fields are the same for values of a type
+    var start = function (value) {
+      return utcTime(_.has(value, 'year') ? value.year : 1972, value.month || 1, value.day || 1, 0);
+    };
+    return compareInstants(start(a), a.timezone, start(b), b.timezone);
+  }
+  return null;
+}
+
+// Returns a parse function for values of integer or decimal XSD type families, using a given
+// representation: 'number', 'bigint' (integers only), 'string' (the lexical value), or a
+// constructor (like a decimal library class) called with the lexical value.
+function numberParser(family, representation) {
+  if (representation === 'number') {
+    return family === 'integer' ? function (value) {
+      return parseInt(value);
+    } : function (value) {
+      return parseFloat(value);
+    };
+  }
+  else if (representation === 'bigint' && family === 'integer') {
+    if (typeof BigInt === 'undefined') {
+      throw new Error("BigInt is not supported by this JavaScript engine");
+    }
+    return function (value) {
+      try {
+        return BigInt(value.trim());
+      }
+      catch (e) {
+        throw invalid(family, value);
+      }
+    };
+  }
+  else if (representation === 'string') {
+    return function (value) {
+      return value.trim();
+    };
+  }
+  else if (_.isFunction(representation)) {
+    return function (value) {
+      return new representation(value.trim());
+    };
+  }
+  throw new Error("Invalid " + family + " representation: " + representation);
+}
+
+exports.Duration = Duration;
+exports.Time = Time;
+exports.GregorianValue = GregorianValue;
+exports.GREGORIAN_TYPES = GREGORIAN_TYPES;
+exports.QName = QName;
+exports.compareValues = compareValues;
+exports.numberParser = numberParser;
@@ -0,0 +1,97 @@
+// Errors raised while adding schemas, parsing documents and building XML. Every error has a stable
+// code (listed below) and, where known, details: xpath (with namespaced names), element and
+// attribute (namespaced names), expected and actual, line and column in the document, and
+// namespace and location of a schema.
+//
+//   ValidationError (also an xml2js.ValidationError): a document does not match schemas
+//     UNEXPECTED_ELEMENT, UNEXPECTED_ATTRIBUTE, UNEXPECTED_CHILDREN, INVALID_ATTRIBUTE, INVALID_VALUE,
+//     FACET_VIOLATION, UNION_NO_MATCH, INVALID_XSI_TYPE, UNKNOWN_PREFIX, MISSING_NAMESPACE,
+//     INVALID_SCHEMA_HINT, VALUE_TYPE_MISMATCH, INVALID_ROOT, FIXED_VALUE_MISMATCH, NOT_NILLABLE,
+//     NILLED_ELEMENT_NOT_EMPTY, DUPLICATE_ID, UNKNOWN_IDREF, DUPLICATE_KEY, MISSING_KEY_FIELD, INVALID_KEY_FIELD,
+//     UNKNOWN_KEYREF, ABSTRACT_ELEMENT, TOO_MANY_OCCURRENCES
+//   SchemaError: a schema (or a catalog or a bundle) is invalid, unsupported or incomplete
+//     INVALID_SCHEMA, TARGET_NAMESPACE_MISMATCH, INVALID_NAMESPACE_DECLARATION, TYPE_NOT_FOUND,
+//     ELEMENT_NOT_FOUND, ATTRIBUTE_NOT_FOUND, GROUP_NOT_FOUND, ATTRIBUTE_GROUP_NOT_FOUND,
+//     ELEMENT_TYPE_MISSING, INVALID_CATALOG, INVALID_BUNDLE
+//   SchemaNotFoundError (a SchemaError): a schema could not be obtained
+//     SCHEMA_DOWNLOAD_DISABLED, SCHEMA_LOCATION_UNRESOLVED, SCHEMA_LOCATION_UNTRUSTED, SCHEMA_NOT_LOADED,
+//     SCHEMA_LOAD_FAILED
+//   ArgumentError: a method was called with an invalid argument
+//     INVALID_RECORD_PATH
+
+var util = require('util');
+var xml2js = require('xml2js');
+var _ = require('underscore');
+
+var DETAILS = ['xpath', 'element', 'attribute', 'expected', 'actual', 'line', 'column', 'namespace', 'location'];
+
+function init(error, name, code, message, details) {
+  error.name = name;
+  error.code = code;
+  // Message without details, which are appended to the message
+  error.description = message;
+  if (Error.captureStackTrace) {
+    Error.captureStackTrace(error, error.constructor);
+  }
+  addDetails(error, details);
+}
+
+// Sets details which are not set yet and updates the message
+function addDetails(error, details) {
+  _.each(DETAILS, function (key) {
+    if (details && !_.isUndefined(details[key]) && details[key] !== null && _.isUndefined(error[key])) {
+      error[key] = details[key];
+    }
+  });
+
+  var message = error.description;
+  if (error.xpath) {
+    message += ", xpath: " + error.xpath;
+  }
+  if (error.line) {
+    message += ", line " + error.line + ", column " + error.column;
+  }
+  error.message = message;
+  return error;
+}
+
+function ValidationError(code, message, details) {
+  init(this, 'ValidationError', code, message, details);
+}
+
+util.inherits(ValidationError, xml2js.ValidationError);
+
+function SchemaError(code, message, details) {
+  init(this, 'SchemaError', code, message, details);
+}
+
+util.inherits(SchemaError, Error);
+
+function SchemaNotFoundError(code, message, details) {
+  init(this, 'SchemaNotFoundError', code, message, details);
+}
+
+util.inherits(SchemaNotFoundError, SchemaError);
+
+function ArgumentError(code, message, details) {
+  init(this, 'ArgumentError', code, message, details);
+}
+
+util.inherits(ArgumentError, Error);
+
+// Wraps other errors (like strings passed to callbacks by schema loaders) into a given error class
+function wrap(ErrorClass, code, err, details) {
+  if (err instanceof ValidationError || err instanceof SchemaError) {
+    return addDetails(err, details);
+  }
+  var error = new ErrorClass(code, (err && err.message) || '' + err, details);
+  error.cause = err;
+  return error;
+}
+
+exports.ValidationError = ValidationError;
+exports.SchemaError = SchemaError;
+exports.SchemaNotFoundError = SchemaNotFoundError;
+exports.ArgumentError = ArgumentError;
+exports.addDetails = addDetails;
+exports.wrap = wrap;
@@ -0,0 +1,435 @@
+// Identity of elements in a document: uniqueness of ID values and targets of IDREF and IDREFS values,
+// and xs:key, xs:keyref and xs:unique constraints of element declarations. Selector and field XPath
+// expressions of constraints (the subset allowed by XML Schema) are parsed when schemas are added and
+// evaluated against converted values of elements when they are closed. Names are matched by their local
+// names, and by namespaces when keys in the result include them (see keyStyle option).
+
+var util = require('util');
+var _ = require('underscore');
+
+var errors = require('./errors');
+var objects = require('./objects');
+
+var IDENTITY_TYPES = ['ID', 'IDREF', 'IDREFS'];
+
+// A name test of a step: *, prefix:*, name or prefix:name
+var NAME_TEST = /^(\*|([^:*.\-\d()\[\]][^:*()\[\]]*:)?(\*|[^:*.\-\d()\[\]][^:*()\[\]]*))$/;
+
+function invalidXPath(expression) {
+  return new errors.SchemaError('INVALID_SCHEMA', "Unsupported XPath expression in an identity constraint: " + expression, {actual: expression});
+}
+
+// Parses a selector (or a field) XPath expression into a list of alternative paths {descendant, steps}, where
+// steps are name tests {namespace, local, attribute}. Namespace is null for names without a prefix, which match
+// names in any namespace, and local is '*' for wildcards. Only the last step of a field can be an attribute.
+function parseXPath(expression, namespaces, isField) {
+  return _.map(expression.split('|'), function (alternative) {
+    var path = alternative.replace(/\s+/g, '');
+    var descendant = /^\.\/\//.test(path);
+    if (descendant) {
+      path = path.slice(3);
+    }
+
+    var segments = path.split('/');
+    var steps = [];
+    _.each(segments, function (segment, i) {
+      if (segment === '.') {
+        return;
+      }
+      var attribute = /^(@|attribute::)/.test(segment);
+      var test = segment.replace(/^(@|attribute::|child::)/, '');
+      if ((attribute && (!isField || i !== segments.length - 1)) || !NAME_TEST.test(test)) {
+        throw invalidXPath(expression);
+      }
+      var parts = test.split(':');
+      if (parts.length > 1 && !_.has(namespaces, parts[0])) {
+        throw invalidXPath(expression);
+      }
+      steps.push({
+        namespace: parts.length > 1 ? namespaces[parts[0]] : null,
+        local: _.last(parts),
+        attribute: attribute
+      });
+    });
+
+    return {
+      descendant: descendant,
+      steps: steps
+    };
+  });
+}
+
+// A canonical string of a field value: primitive values with their type, dates by their time, other
+// objects (like values of datatypes or lists) by their constructor and fields in a sorted order
+function canonicalValue(value) {
+  if (_.isDate(value)) {
+    return 'Date:' + value.getTime();
+  }
+  else if (_.isArray(value)) {
+    return '[' + _.map(value, canonicalValue).join(',') + ']';
+  }
+  else if (Buffer.isBuffer(value)) {
+    return 'Buffer:' + value.toString('hex');
+  }
+  else if (_.isObject(value)) {
+    var name = objects.isPlainObject(value) ? '' : value.constructor && value.constructor.name;
+    return name + '{' + _.map(_.keys(value).sort(), function (key) {
+      return JSON.stringify(key) + ':' + canonicalValue(value[key]);
+    }).join(',') + '}';
+  }
+  return typeof value + ':' + (_.isString(value) ? JSON.stringify(value) : value);
+}
+
+// Values of fields as a string, values of different types are different
+function tupleKey(values) {
+  return _.map(values, canonicalValue).join('\u0000');
+}
+
+var IdentityMixin = {
+  // Are IDs and identity constraints tracked while parsing?
+  tracksIdentity: function () {
+    var self = this;
+
+    return self.options.checkIdentityConstraints || !!self.options.resolveReferences;
+  },
+
+  // Per-document state, see Parser.reset
+  resetIdentity: function () {
+    var self = this;
+
+    self.identity = {
+      // A dict of ID values and elements they identify
+      ids: {},
+      // IDREF and IDREFS values with elements they belong to
+      references: [],
+      // Values not yet matched with elements they belong to
+      pending: [],
+      // For every open element, a dict of key and unique constraint names and tables of their values,
+      // including those of descendants
+      scopes: []
+    };
+  },
+
+  // ID, IDREF or IDREFS if a type is (derived from) one of them, otherwise null
+  identityKind: function (typeName) {
+    var self = this;
+
+    while (_.isString(typeName)) {
+      var match = /^\{http:\/\/www\.w3\.org\/2001\/XMLSchema\}(.+)$/.exec(typeName);
+      if (match && _.contains(IDENTITY_TYPES, match[1])) {
+        return match[1];
+      }
+      typeName = self.types[typeName] && self.types[typeName].base;
+    }
+    return null;
+  },
+
+  // Records a converted value of an attribute or of an element if it is of an ID type. Key is the key of
+  // the attribute, or of the element in its parent. Values are matched with elements in closeIdentityElement:
+  // ID attributes identify their element and ID elements their parent element.
+  recordIdentityValue: function (xpath, typeName, value, key, isAttribute) {
+    var self = this;
+
+    var kind = self.tracksIdentity() && self.identityKind(typeName);
+    // Values which could not be converted (when collecting errors) are not recorded
+    if (!kind || _.isUndefined(value) || value === null || (kind === 'IDREFS' && !_.isArray(value))) {
+      return;
+    }
+    self.identity.pending.push(_.extend({
+      kind: kind,
+      value: value,
+      xpath: xpath,
+      key: key,
+      attribute: isAttribute,
+      depth: self.positions.length
+    }, self.currentPosition()));
+  },
+
+  // Called with the converted value of every element when it is closed, root key is the key of
+  // the root element in the result when the root element is closed, otherwise null
+  closeIdentityElement: function (value, rootKey) {
+    var self = this;
+
+    if (!self.tracksIdentity()) {
+      return;
+    }
+
+    var depth = self.positions.length;
+    self.identity.pending = _.reject(self.identity.pending, function (entry) {
+      // Values of the root element itself do not belong to any element
+      if ((entry.attribute && entry.depth === depth) || (!entry.attribute && entry.depth === depth + 1)) {
+        self.addIdentityValue(entry, value);
+        return true;
+      }
+      return false;
+    });
+
+    if (rootKey) {
+      self.finishIdentity(value, rootKey);
+    }
+  },
+
+  // Called when an element is closed, after its value was converted
+  closeIdentityScope: function () {
+    var self = this;
+
+    var scope = self.identity.scopes.pop();
+    var parent = _.last(self.identity.scopes);
+    // Tables of descendants are available to keyrefs of ancestors
+    _.each(parent && scope, function (table, name) {
+      parent[name] = _.extend({}, parent[name], table);
+    });
+  },
+
+  addIdentityValue: function (entry, element) {
+    var self = this;
+
+    if (entry.kind !== 'ID') {
+      self.identity.references.push({entry: entry, element: element});
+    }
+    else if (!_.has(self.identity.ids, entry.value)) {
+      self.identity.ids[entry.value] = element;
+    }
+    else if (self.options.checkIdentityConstraints) {
+      self.collectError(new errors.ValidationError('DUPLICATE_ID', "Duplicate ID value " + util.inspect(entry.value), {
+        xpath: entry.xpath,
+        actual: entry.value,
+        line: entry.line,
+        column: entry.column
+      }));
+    }
+  },
+
+  // At the end of the document, checks that IDREF values refer to IDs and replaces them with references
+  finishIdentity: function (root, rootKey) {
+    var self = this;
+
+    var elements = _.values(self.identity.ids);
+    var paths = self.options.resolveReferences === 'path' ? self.identityPaths(elements, root, rootKey) : null;
+    // Unknown IDs (and elements no longer in the result, when streaming) are left as they are
+    var target = function (id) {
+      if (!_.has(self.identity.ids, id)) {
+        return id;
+      }
+      else if (!paths) {
+        return self.identity.ids[id];
+      }
+      return paths[_.indexOf(elements, self.identity.ids[id])] || id;
+    };
+
+    _.each(self.identity.references, function (reference) {
+      var entry = reference.entry;
+      var unknown = _.reject(entry.kind === 'IDREFS' ? entry.value : [entry.value], function (id) {
+        return _.has(self.identity.ids, id);
+      });
+      if (unknown.length && self.options.checkIdentityConstraints) {
+        self.collectError(new errors.ValidationError('UNKNOWN_IDREF', "IDREF value " + util.inspect(unknown[0]) + " does not refer to any ID", {
+          xpath: entry.xpath,
+          actual: unknown[0],
+          line: entry.line,
+          column: entry.column
+        }));
+      }
+
+      if (!self.options.resolveReferences) {
+        return;
+      }
+      else if (entry.kind === 'IDREFS') {
+        // Lists are replaced in place
+        _.each(entry.value, function (id, i) {
+          entry.value[i] = target(id);
+        });
+      }
+      else if (entry.attribute) {
+        if (reference.element[self.attrkey] && reference.element[self.attrkey][entry.key] === entry.value) {
+          reference.element[self.attrkey][entry.key] = target(entry.value);
+        }
+      }
+      else {
+        var values = _.isArray(reference.element[entry.key]) ? reference.element[entry.key] : null;
+        _.each(values || [reference.element[entry.key]], function (value, i) {
+          if (objects.isPlainObject(value) && value[self.charkey] === entry.value) {
+            value[self.charkey] = target(entry.value);
+          }
+          else if (value === entry.value && values) {
+            values[i] = target(entry.value);
+          }
+          else if (value === entry.value) {
+            reference.element[entry.key] = target(entry.value);
+          }
+        });
+      }
+    });
+  },
+
+  // Paths (lists of keys and array indices from the result) of given elements, in the same order
+  identityPaths: function (elements, root, rootKey) {
+    var self = this;
+
+    var paths = [];
+    var walk = function (node, path) {
+      if (!objects.isPlainObject(node)) {
+        return;
+      }
+      var i = _.indexOf(elements, node);
+      if (i !== -1 && !paths[i]) {
+        paths[i] = path;
+      }
+      _.each(node, function (child, key) {
+        if (key === self.attrkey || key === self.xmlnskey || key === self.options.childkey) {
+          return;
+        }
+        if (_.isArray(child)) {
+          _.each(child, function (c, j) {
+            walk(c, path.concat([key, j]));
+          });
+        }
+        else {
+          walk(child, path.concat([key]));
+        }
+      });
+    };
+    walk(root, [rootKey]);
+    return paths;
+  },
+
+  // Namespace (null if not known) and local name of a key in the result
+  keyName: function (key) {
+    var self = this;
+
+    var match = /^\{(.*)\}(.+)$/.exec(key);
+    if (match) {
+      return {namespace: match[1], local: match[2]};
+    }
+    match = /^([^:]+):(.+)$/.exec(key);
+    if (match && self.options.keyStyle === 'prefix' && _.has(_.invert(self.options.keyPrefixes), match[1])) {
+      return {namespace: _.invert(self.options.keyPrefixes)[match[1]], local: match[2]};
+    }
+    else if (self.options.keyStyle === 'clark') {
+      // Keys of names not in any namespace
+      return {namespace: '', local: key};
+    }
+    return {namespace: null, local: key};
+  },
+
+  nameMatches: function (step, key) {
+    var self = this;
+
+    var name = self.keyName(key);
+    return (step.local === '*' || step.local === name.local) && (step.namespace === null || name.namespace === null || step.namespace === name.namespace);
+  },
+
+  // Values of children (or attributes) of a converted element matching a step
+  selectStep: function (node, step) {
+    var self = this;
+
+    if (!objects.isPlainObject(node)) {
+      return [];
+    }
+    else if (step.attribute) {
+      return _.values(_.pick(node[self.attrkey] || {}, _.filter(_.keys(node[self.attrkey] || {}), function (key) {
+        return self.nameMatches(step, key);
+      })));
+    }
+
+    var values = [];
+    _.each(node, function (child, key) {
+      if (key === self.attrkey || key === self.charkey || key === self.xmlnskey || key === self.options.childkey || !self.nameMatches(step, key)) {
+        return;
+      }
+      values = values.concat(_.isArray(child) ? child : [child]);
+    });
+    return values;
+  },
+
+  // All descendant elements of a converted element
+  descendantValues: function (node) {
+    var self = this;
+
+    var descendants = self.selectStep(node, {namespace: null, local: '*', attribute: false});
+    return descendants.concat(_.flatten(_.map(descendants, function (descendant) {
+      return self.descendantValues(descendant);
+    }), true));
+  },
+
+  selectPaths: function (node, paths) {
+    var self = this;
+
+    return _.flatten(_.map(paths, function (path) {
+      var nodes = path.descendant ? [node].concat(self.descendantValues(node)) : [node];
+      _.each(path.steps, function (step) {
+        nodes = _.flatten(_.map(nodes, function (n) {
+          return self.selectStep(n, step);
+        }), true);
+      });
+      return nodes;
+    }), true);
+  },
+
+  // Value of a field for a node selected by a constraint, or undefined if there is none
+  fieldValue: function (xpath, name, constraint, node, field) {
+    var self = this;
+
+    var values = self.selectPaths(node, field);
+    if (values.length > 1) {
+      self.collectError(new errors.ValidationError('INVALID_KEY_FIELD', "A field of " + constraint.kind + " " + constraint.name + " matches multiple values", {
+        xpath: xpath,
+        element: name,
+        actual: values
+      }));
+    }
+    var value = objects.isPlainObject(values[0]) ? values[0][self.charkey] : values[0];
+    return value === null ? undefined : value;
+  },
+
+  // Checks key, keyref and unique constraints of an element declaration against its converted value
+  checkIdentityConstraints: function (xpath, name, element, value) {
+    var self = this;
+
+    if (!self.options.checkIdentityConstraints || !element.identityConstraints) {
+      return;
+    }
+
+    var scope = _.last(self.identity.scopes);
+    // Keys are checked first, so that references to them from the same element can be checked
+    _.each(_.sortBy(element.identityConstraints, function (constraint) {
+      return constraint.kind === 'keyref' ? 1 : 0;
+    }), function (constraint) {
+      var table = {};
+      _.each(self.selectPaths(value, constraint.selector), function (node) {
+        var values = _.map(constraint.fields, function (field) {
+          return self.fieldValue(xpath, name, constraint, node, field);
+        });
+        var details = {
+          xpath: xpath,
+          element: name,
+          actual: values
+        };
+
+        if (_.some(values, _.isUndefined)) {
+          // Only keys require all fields
+          if (constraint.kind === 'key') {
+            self.collectError(new errors.ValidationError('MISSING_KEY_FIELD', "Key " + constraint.name + " is missing a field value", details));
+          }
+        }
+        else if (constraint.kind === 'keyref') {
+          if (!scope[constraint.refer] || !scope[constraint.refer][tupleKey(values)]) {
+            self.collectError(new errors.ValidationError('UNKNOWN_KEYREF', "Value " + util.inspect(values) + " of " + constraint.name + " does not match any " + constraint.refer + " value", _.extend(details, {expected: constraint.refer})));
+          }
+        }
+        else if (table[tupleKey(values)]) {
+          self.collectError(new errors.ValidationError('DUPLICATE_KEY', "Duplicate value " + util.inspect(values) + " of " + constraint.kind + " " + constraint.name, details));
+        }
+        else {
+          table[tupleKey(values)] = true;
+        }
+      });
+      if (constraint.kind !== 'keyref') {
+        scope[constraint.name] = _.extend({}, scope[constraint.name], table);
+      }
+    });
+  }
+};
+
+exports.parseXPath = parseXPath;
+exports.IdentityMixin = IdentityMixin;
@@ -0,0 +1,190 @@
+// Schema loaders fetch schema content for a schema location. A loader is a function
+// (namespace, location, base, cb) where location is the schema location (already resolved
+// against base, if it was relative), or null for namespace-only imports, and base is the location
+// of the schema referencing it, if known. It should call cb(err, content, finalLocation), where
+// finalLocation is optional (e.g., URL after redirects) and is used to resolve relative locations
+// inside the loaded schema. If a loader cannot load a given location it should call cb with null
+// content, so that the next loader in a chain is tried. Instead of calling cb, a loader can
+// return a promise resolved with content.
+
+var fs = require('fs');
+var path = require('path');
+var request = require('request');
+var url = require('url');
+var _ = require('underscore');
+
+var errors = require('./errors');
+
+function isUrl(location) {
+  // We require at least two characters for a scheme so that Windows drive letters are not matched
+  return /^[a-z][a-z0-9+.\-]+:/i.test(location);
+}
+
+// Local file path for a schema location, or null if it is not a local file
+function localPath(location) {
+  if (!location) {
+    return null;
+  }
+  else if (/^file:/i.test(location)) {
+    return decodeURIComponent(url.parse(location).pathname);
+  }
+  else if (!isUrl(location) && path.resolve(location) === path.normalize(location)) {
+    // Only absolute paths, relative paths without a base location cannot be resolved
+    return location;
+  }
+  return null;
+}
+
+function callLoader(loader, namespace, location, base, cb) {
+  var called = false;
+  var done = function (err, content, finalLocation) {
+    if (called) {
+      return;
+    }
+    called = true;
+    cb(err, content, finalLocation);
+  };
+
+  var result;
+  try {
+    result = loader(namespace, location, base, done);
+  }
+  catch (err) {
+    done(err);
+    return;
+  }
+
+  if (result && _.isFunction(result.then)) {
+    result.then(function (content) {
+      done(null, content);
+    }, done);
+  }
+}
+
+function loadFailed(namespace, location, message) {
+  return new errors.SchemaNotFoundError('SCHEMA_LOAD_FAILED', "Error loading " + namespace + " schema (" + location + "): " + message, {namespace: namespace, location: location});
+}
+
+// Loads schemas from HTTP(S) URLs. Options are passed to request, with defaults for timeout
+// (in milliseconds) and maxRedirects, and an additional maxSize option (in bytes).
+function httpLoader(options) {
+  options = _.defaults({}, options, {
+    timeout: 60 * 1000,
+    maxRedirects: 10,
+    maxSize: 10 * 1024 * 1024
+  });
+
+  return function (namespace, location, base, cb) {
+    if (!location || !/^https?:/i.test(location)) {
+      cb(null, null);
+      return;
+    }
+
+    var finished = false;
+    var finish = function (err, content, finalLocation) {
+      if (finished) {
+        return;
+      }
+      finished = true;
+      cb(err, content, finalLocation);
+    };
+
+    var size = 0;
+    var req = request(_.extend(_.omit(options, 'maxSize'), {url: location}), function (err, response, body) {
+      if (err) {
+        finish(loadFailed(namespace, location, err));
+        return;
+      }
+      else if (response.statusCode !== 200) {
+        finish(loadFailed(namespace, location, "HTTP status code " + response.statusCode));
+        return;
+      }
+
+      // We use the final URL after any redirects as a base location
+      finish(null, body, (response.request && response.request.uri && response.request.uri.href) || location);
+    });
+
+    if (options.maxSize) {
+      req.on('data', function (chunk) {
+        size += chunk.length;
+        if (size > options.maxSize) {
+          req.abort();
+          finish(loadFailed(namespace, location, "larger than " + options.maxSize + " bytes"));
+        }
+      });
+    }
+  };
+}
+
+// Loads schemas from local file paths and file: URLs
+function fileLoader() {
+  return function (namespace, location, base, cb) {
+    var file = localPath(location);
+    if (!file) {
+      cb(null, null);
+      return;
+    }
+
+    fs.readFile(file, {encoding: 'utf-8'}, function (err, content) {
+      if (err) {
+        cb(loadFailed(namespace, location, err));
+        return;
+      }
+
+      cb(null, content, file);
+    });
+  };
+}
+
+// Loads schemas from a dict of schema locations (or namespaces, for namespace-only imports) and contents
+function memoryLoader(schemas) {
+  return function (namespace, location, base, cb) {
+    if (location && _.has(schemas, location)) {
+      cb(null, schemas[location]);
+    }
+    else if (!location && namespace && _.has(schemas, namespace)) {
+      cb(null, schemas[namespace]);
+    }
+    else {
+      cb(null, null);
+    }
+  };
+}
+
+// Tries given loaders (as arguments or a list) in order until one loads a schema
+function chainLoaders() {
+  var loaders = _.flatten(_.toArray(arguments));
+
+  return function (namespace, location, base, cb) {
+    var i = 0;
+    var next = function () {
+      if (i >= loaders.length) {
+        cb(null, null);
+        return;
+      }
+
+      callLoader(loaders[i++], namespace, location, base, function (err, content, finalLocation) {
+        if (err || (content !== null && !_.isUndefined(content))) {
+          cb(err, content, finalLocation);
+          return;
+        }
+
+        next();
+      });
+    };
+    next();
+  };
+}
+
+function defaultLoader() {
+  return chainLoaders(fileLoader(), httpLoader());
+}
+
+exports.isUrl = isUrl;
+exports.localPath = localPath;
+exports.callLoader = callLoader;
+exports.httpLoader = httpLoader;
+exports.fileLoader = fileLoader;
+exports.memoryLoader = memoryLoader;
+exports.chainLoaders = chainLoaders;
+exports.defaultLoader = defaultLoader;
@@ -0,0 +1,16 @@
+// Helpers for objects in converted values
+
+var _ = require('underscore');
+
+// Objects of other constructors (like dates or values of datatypes) are values and not elements
+function isPlainObject(obj) {
+  if (!_.isObject(obj) || _.isArray(obj) || _.isFunction(obj)) {
+    return false;
+  }
+  else if (obj.constructor !== Object) {
+    return false;
+  }
+  return true;
+}
+
+exports.isPlainObject = isPlainObject;
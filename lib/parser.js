@@ -1,11 +1,23 @@
 var async = require('async');
+var fs = require('fs');
+var path = require('path');
+var sax = require('sax');
+var StringDecoder = require('string_decoder').StringDecoder;
 var xml2js = require('xml2js');
 var _ = require('underscore');
 
+var datatypes = require('./datatypes');
+var errors = require('./errors');
+var identity = require('./identity');
+var loaders = require('./loaders');
 var multivalue = require('./multivalue');
+var promise = require('./promise');
 var validator = require('./validator');
 var xsd = require('./xsd');
 
+var KEY_STYLES = ['local', 'clark', 'prefix'];
+var RESOLVE_REFERENCES = ['object', 'path'];
+
 function Parser(options) {
   var self = this;
 
@@ -16,15 +28,88 @@ function Parser(options) {
     // redownloaded for every document parsed with the same instance of this module.
     // Consider setting this to false and adding schemas yourself with addSchema.
     downloadSchemas: false,
-    // TODO: Setting it to true does not work on all tests
-    outputWithNamespace: false
+    // Should values be checked against facets (enumeration, pattern, length, ranges, digits) of their
+    // simple types? By default values are only converted and a ValidationError is not thrown for them.
+    validateFacets: false,
+    // Should validation continue past errors? Each ValidationError is then collected and passed as the third
+    // argument to the parseString callback (and is available as parser.validationErrors), alongside a result
+    // in which values and elements with errors are left unconverted.
+    collectErrors: false,
+    // Should elements and attributes not covered by schemas be reported as validation errors? When false they
+    // are kept in the result as xml2js returns them (with explicit arrays and string values) and reported as
+    // warnings in parser.warnings, while known parts are still converted. (xml2js strict option is about
+    // parsing XML and is passed to the SAX parser.)
+    strictSchema: true,
+    // Should duration, time, Gregorian fragment types (gYear, ...), QName and NOTATION values be converted
+    // to objects (see lib/datatypes.js)? When false they are left as strings.
+    convertExtendedTypes: true,
+    // How values of integer (xs:integer, xs:long, ...) and decimal XSD type families are represented:
+    // 'number', 'bigint' (integers only), 'string' (the lexical value), or a constructor (like a decimal
+    // library class) called with the lexical value. Numbers lose precision for large or long values.
+    numberTypes: {},
+    // A dict of type names ({namespace}name) and converters to register, see registerType.
+    types: {},
+    // A list of XML catalogs (OASIS XML Catalog files, JSON files, or objects with a JSON mapping) used
+    // to map schema locations and namespaces to local files. Schemas found in catalogs are used even if
+    // downloadSchemas is false, so with catalogs for all schemas you can work offline.
+    catalogs: [],
+    // A function used to load schemas, see lib/loaders.js for the interface and built-in loaders
+    // (xml4js.loaders) which can be combined with chainLoaders. When set, it is used for all missing
+    // schemas, even if downloadSchemas is false. By default local files are read and others downloaded.
+    schemaLoader: null,
+    // Precompiled schemas, as returned by exportSchemas, to start with. Loading them
+    // is much faster than adding and parsing schemas again.
+    schemaBundle: null,
+    // How elements and attributes are named in the result: 'local' (local names, elements from different
+    // namespaces with the same local name collide), 'clark' (namespaced names in Clark notation, {namespace}local,
+    // as in schemas), or 'prefix' (prefix:local, with prefixes from keyPrefixes).
+    keyStyle: 'local',
+    // A dict of namespace URLs and prefixes used by 'prefix' key style, an empty string prefix means no prefix.
+    // Names in other namespaces are in Clark notation.
+    keyPrefixes: {},
+    // The same as 'clark' key style, kept for compatibility.
+    outputWithNamespace: false,
+    // Should namespace information of every element be kept under xmlnskey ('$ns' by default)? It contains
+    // namespace URL (uri), local name (local), prefix, namespace declarations in scope (ns), and values of
+    // XML Schema instance attributes (xsi) like type and schemaLocation. Values of elements with simple types
+    // are then under charkey.
+    preserveNamespaces: false,
+    // Should elements of mixed content types (mixed="true") get also an ordered list of their content under
+    // childkey ('$$' by default)? Text segments are strings and child elements are objects with their key and
+    // converted value, as found among keyed children. Segments are trimmed and normalized as text of elements.
+    orderMixedContent: false,
+    // Should default and fixed values from schemas be applied? Missing attributes and empty elements with simple
+    // content get them (converted as other values), and a ValidationError is thrown when a value present in
+    // the document does not match the fixed value.
+    applyDefaults: false,
+    // Elements nilled with xsi:nil="true" are converted to null. Should their other attributes be kept? Such
+    // elements are then objects with attributes under attrkey and null under charkey.
+    keepNilAttributes: true,
+    // Should identity constraints be checked? Duplicate ID values and IDREF (and IDREFS) values not referring
+    // to any ID in the document are then validation errors, and so are values violating xs:key, xs:keyref and
+    // xs:unique constraints of element declarations.
+    checkIdentityConstraints: false,
+    // Should IDREF and IDREFS values be replaced with targets of references? 'object' replaces them with the
+    // converted elements with those IDs (so the result can contain cycles), 'path' with lists of keys and
+    // array indices leading to the elements from the result. Values not referring to any ID are kept.
+    resolveReferences: false
   });
 
+  if (options.outputWithNamespace) {
+    options.keyStyle = 'clark';
+  }
+  if (!_.contains(KEY_STYLES, options.keyStyle)) {
+    throw new Error("Invalid key style: " + options.keyStyle);
+  }
+  if (options.resolveReferences && !_.contains(RESOLVE_REFERENCES, options.resolveReferences)) {
+    throw new Error("Invalid resolveReferences value: " + options.resolveReferences);
+  }
+
   // TODO: This might not be really needed
   options.explicitRoot = true;
   // We set this and then clean up unnecessary arrays anyway
   options.explicitArray = true;
-  // TODO: We currently hard-code this but then clean it up, what if user wants namespace information, we should not clean it up in that case
+  // Namespace information is needed for validation, it is removed afterwards unless preserveNamespaces is set
   options.xmlns = true;
   // Our own validator which cleans up unnecessary arrays
   // TODO: We could allow chaining of validators
@@ -41,7 +126,34 @@ function Parser(options) {
 
   self.attributes = {};
   self.elements = {};
+  // A multi-value dict of global element names and names of elements in their substitution groups
+  self.substitutionGroups = {};
+  self.groups = {};
+  self.attributeGroups = {};
   self.types = _.clone(xsd.BASE_TYPES);
+  // Custom converters registered with registerType, they take precedence over types
+  self.converters = {};
+  self.numberParsers = {};
+  _.each(_.defaults({}, options.numberTypes, {integer: 'number', decimal: 'number'}), function (representation, family) {
+    self.numberParsers[family] = datatypes.numberParser(family, representation);
+  });
+  // Validation errors of the last parsed document, when collecting them
+  self.validationErrors = null;
+  // Warnings about the last parsed document, see strictSchema
+  self.warnings = [];
+  // Output name of the root element of the last parsed document, see keyStyle
+  self.rootKey = null;
+  // Loaded when first needed
+  self.catalogs = null;
+  self.schemaLoader = options.schemaLoader || loaders.defaultLoader();
+
+  _.each(options.types, function (converter, typeName) {
+    self.registerType(typeName, converter);
+  });
+
+  if (options.schemaBundle) {
+    self.importSchemas(options.schemaBundle);
+  }
 
   return self;
 }
@@ -49,73 +161,563 @@ function Parser(options) {
 Parser.prototype = Object.create(xml2js.Parser.prototype);
 Parser.prototype.constructor = Parser;
 
+// xml2js creates a new SAX parser on every reset, we track positions of open elements in it
+// so that errors can report them, their content in order when ordering mixed content, their
+// text (also when it is only whitespace), and scopes of identity constraints
+Parser.prototype.reset = function () {
+  var self = this;
+
+  xml2js.Parser.prototype.reset.call(self);
+
+  self.positions = [];
+  self.resetIdentity();
+  // Lists of text segments and converted child elements ({name, value}), see orderMixedContent
+  self.contents = [];
+  // Character content of open elements, xml2js drops it when it is only whitespace
+  self.texts = [];
+  var onopentag = self.saxParser.onopentag;
+  self.saxParser.onopentag = function () {
+    // SAX parser counts lines from 0, the column is at the end of the start tag
+    self.positions.push({line: self.saxParser.line + 1, column: self.saxParser.column});
+    if (self.options.orderMixedContent) {
+      self.contents.push([]);
+    }
+    self.texts.push('');
+    if (self.tracksIdentity()) {
+      self.identity.scopes.push({});
+    }
+    onopentag.apply(this, arguments);
+  };
+  var onclosetag = self.saxParser.onclosetag;
+  self.saxParser.onclosetag = function () {
+    try {
+      onclosetag.apply(this, arguments);
+    }
+    finally {
+      self.positions.pop();
+      self.contents.pop();
+      self.texts.pop();
+      self.closeIdentityScope();
+    }
+  };
+  _.each(['ontext', 'oncdata'], function (handler) {
+    var original = self.saxParser[handler];
+    self.saxParser[handler] = function (text) {
+      if (self.options.orderMixedContent && self.contents.length) {
+        _.last(self.contents).push(text);
+      }
+      if (self.texts.length) {
+        self.texts[self.texts.length - 1] += text;
+      }
+      return original.apply(this, arguments);
+    };
+  });
+};
+
+// Position of the element being closed, or null
+Parser.prototype.currentPosition = function () {
+  var self = this;
+
+  return _.last(self.positions || []) || null;
+};
+
+// Character content of the element being closed, also when it is only whitespace
+Parser.prototype.currentText = function () {
+  var self = this;
+
+  return _.last(self.texts || []) || '';
+};
+
 _.extend(Parser.prototype, validator.ValidatorMixin);
 _.extend(Parser.prototype, xsd.XsdMixin);
+_.extend(Parser.prototype, identity.IdentityMixin);
 
-function populateSchemas(parser, str, cb) {
-  parser.findSchemas(str, function (err, foundSchemas) {
+// Optional bases is a dict of schema locations and locations of schemas referencing them. Optional referenced
+// is a dict of locations reached through imports and includes of schemas added to the parser. Only those are
+// read from local files without automatic downloading, other locations come from documents and are not trusted.
+function satisfySchemas(parser, foundSchemas, bases, referenced, cb) {
+  if (_.isFunction(bases)) {
+    cb = bases;
+    bases = {};
+    referenced = {};
+  }
+
+  parser.loadCatalogs(function (err) {
     if (err) {
       cb(err);
       return;
     }
 
-    if (parser.options.downloadSchemas) {
-      // We do a breadth-first traversal of schemas to prevent possible infinite loops
-      async.until(function () {
-        return _.isEmpty(foundSchemas);
-      }, function (cb) {
-        var schemas = foundSchemas;
-        foundSchemas = {};
-        async.each(_.keys(schemas), function (namespaceUrl, cb) {
-          async.each(schemas[namespaceUrl], function (schemaUrl, cb) {
-            parser.downloadAndAddSchema(namespaceUrl, schemaUrl, function (err, importsAndIncludes) {
-              if (err) {
-                cb(err);
-                return;
-              }
-
-              _.each(importsAndIncludes, function (nextSchemaUrls, nextNamespaceUrl) {
-                _.each(nextSchemaUrls, function (nextSchemaUrl) {
-                  if (!multivalue.hasValue(parser.downloadedSchemas, nextNamespaceUrl, nextSchemaUrl)) {
-                    multivalue.addValue(foundSchemas, nextNamespaceUrl, nextSchemaUrl);
-                  }
-                });
-              });
+    // We do a breadth-first traversal of schemas to prevent possible infinite loops
+    async.until(function () {
+      return _.isEmpty(foundSchemas);
+    }, function (cb) {
+      var schemas = foundSchemas;
+      foundSchemas = {};
+      async.each(_.keys(schemas), function (namespaceUrl, cb) {
+        async.each(schemas[namespaceUrl], function (schemaUrl, cb) {
+          var isReferenced = _.has(referenced, schemaUrl);
+          // Locations from documents are not used for namespaces which already have schemas
+          if (!isReferenced && parser.parsedSchemas[namespaceUrl]) {
+            cb();
+            return;
+          }
 
+          // Schemas found in catalogs and local schemas referenced by added schemas are read even if automatic
+          // downloading is not enabled, and so are all schemas when a custom loader is set (except namespace-only
+          // imports of known namespaces). Other locations are read only with automatic downloading, and only
+          // from http and https URLs, so that documents cannot make us read local files.
+          var catalogued = !!parser.resolveFromCatalogs(namespaceUrl, schemaUrl);
+          var custom = parser.options.schemaLoader && (schemaUrl || !parser.parsedSchemas[namespaceUrl]);
+          var local = isReferenced && loaders.localPath(schemaUrl);
+          var downloaded = parser.options.downloadSchemas && /^https?:\/\//i.test(schemaUrl || '');
+          if (!custom && !catalogued && !local && !downloaded) {
+            // It checks only if any schema files were parsed for a given namespaceUrl, not really if they
+            // match parsed files (we would have to fetch content to do that properly, which we cannot do)
+            if (parser.parsedSchemas[namespaceUrl]) {
               cb();
+            }
+            else if (parser.options.downloadSchemas && loaders.localPath(schemaUrl)) {
+              cb(new errors.SchemaNotFoundError('SCHEMA_LOCATION_UNTRUSTED', "Schema " + namespaceUrl + " (" + schemaUrl + ") is not read, only http and https locations are read from documents", {
+                namespace: namespaceUrl,
+                location: schemaUrl
+              }));
+            }
+            else if (!parser.options.downloadSchemas) {
+              cb(new errors.SchemaNotFoundError('SCHEMA_DOWNLOAD_DISABLED', "Schema " + namespaceUrl + " (" + schemas[namespaceUrl].join(", ") + ") unavailable and automatic downloading not enabled", {
+                namespace: namespaceUrl,
+                location: schemaUrl
+              }));
+            }
+            else {
+              cb(new errors.SchemaNotFoundError('SCHEMA_LOCATION_UNRESOLVED', "Schema " + namespaceUrl + " (" + schemas[namespaceUrl].join(", ") + ") unavailable and its location cannot be resolved", {
+                namespace: namespaceUrl,
+                location: schemaUrl
+              }));
+            }
+            return;
+          }
+
+          parser.downloadAndAddSchema(namespaceUrl, schemaUrl, bases[schemaUrl], function (err, importsAndIncludes) {
+            if (err) {
+              cb(err);
+              return;
+            }
+
+            _.each(importsAndIncludes, function (nextSchemaUrls, nextNamespaceUrl) {
+              _.each(nextSchemaUrls, function (nextSchemaUrl) {
+                if (!multivalue.hasValue(parser.downloadedSchemas, nextNamespaceUrl, nextSchemaUrl)) {
+                  multivalue.addValue(foundSchemas, nextNamespaceUrl, nextSchemaUrl);
+                  // Namespace-only imports have no location to resolve or trust
+                  if (!nextSchemaUrl) {
+                    return;
+                  }
+                  if (schemaUrl) {
+                    bases[nextSchemaUrl] = schemaUrl;
+                  }
+                  // Schemas read from catalogs are trusted as much as schemas added to the parser
+                  if (isReferenced || catalogued) {
+                    referenced[nextSchemaUrl] = true;
+                  }
+                }
+              });
             });
-          }, cb);
+
+            cb();
+          });
         }, cb);
       }, cb);
+    }, cb);
+  });
+}
+
+function populateSchemas(parser, str, cb) {
+  parser.findSchemas(str, function (err, foundSchemas) {
+    if (err) {
+      cb(err);
+      return;
     }
-    else {
-      for (var namespaceUrl in foundSchemas) {
-        if (foundSchemas.hasOwnProperty(namespaceUrl)) {
-          // It checks only if any schema files were parsed for a given namespaceUrl, not really if they
-          // match parsed files (we would have to fetch content to do that properly, which we cannot do)
-          if (!parser.parsedSchemas[namespaceUrl]) {
-            cb("Schema " + namespaceUrl + " (" + foundSchemas[namespaceUrl].join(", ") + ") unavailable and automatic downloading not enabled");
-            return;
-          }
-        }
-      }
-      // All schemas used in the document are available, good (there could still be some imported or included ones missing, though)
-      cb();
+
+    satisfySchemas(parser, foundSchemas, cb);
+  });
+}
+
+// Parses a record path like /{namespace}root/child/record into a list of [namespace, name] pairs.
+// Segments without a namespace match elements with that local name in any namespace.
+function parseRecordPath(recordPath) {
+  if (!/^(\/(\{[^}]*\})?[^\/{}]+)+$/.test(recordPath)) {
+    return null;
+  }
+
+  var segments = [];
+  var segmentRegex = /\/(?:\{([^}]*)\})?([^\/{}]+)/g;
+  var match;
+  while ((match = segmentRegex.exec(recordPath))) {
+    segments.push([_.isUndefined(match[1]) ? null : match[1], match[2]]);
+  }
+  return segments;
+}
+
+// xml2js names the root element as in the document, with other key styles we name it as other elements
+function renameRoot(parser, result) {
+  if (!result || parser.options.keyStyle === 'local' || !parser.rootKey) {
+    return;
+  }
+
+  var key = _.keys(result)[0];
+  var value = result[key];
+  delete result[key];
+  result[parser.rootKey] = value;
+}
+
+// Validation errors are collected into parser.validationErrors if collectErrors is true, otherwise it is null
+function parseDocument(parser, str, collectErrors, cb) {
+  populateSchemas(parser, str, function (err) {
+    if (err) {
+      cb(err);
+      return;
     }
+
+    parser.validationErrors = collectErrors ? [] : null;
+    parser.warnings = [];
+    parser.rootKey = null;
+    xml2js.Parser.prototype.parseString.call(parser, str, function (err, result) {
+      if (err) {
+        cb(err);
+        return;
+      }
+
+      renameRoot(parser, result);
+      cb(null, result, parser.validationErrors);
+    });
   });
 }
 
 Parser.prototype.parseString = function (str, cb) {
   var self = this;
 
-  populateSchemas(self, str, function (err) {
+  parseDocument(self, str, self.options.collectErrors, cb);
+};
+
+// Returns a promise resolved with the result. With collectErrors option it is resolved
+// with an object with the result and the list of validation errors instead.
+Parser.prototype.parse = function (str) {
+  var self = this;
+
+  return promise.callbackOrPromise(null, function (cb) {
+    self.parseString(str, function (err, result, validationErrors) {
+      if (err) {
+        cb(err);
+      }
+      else if (self.options.collectErrors) {
+        cb(null, {result: result, validationErrors: validationErrors});
+      }
+      else {
+        cb(null, result);
+      }
+    });
+  });
+};
+
+// Validates a document against schemas, collecting all validation errors, and passes their list (empty if
+// the document is valid) instead of a result. Calls a callback or, if it is not given, returns a promise.
+Parser.prototype.validate = function (str, cb) {
+  var self = this;
+
+  return promise.callbackOrPromise(cb, function (cb) {
+    parseDocument(self, str, true, function (err, result, validationErrors) {
+      if (err) {
+        cb(err);
+        return;
+      }
+
+      cb(null, validationErrors);
+    });
+  });
+};
+
+// Schema is given either as its content or as a path to a file with it, in which case
+// the path is returned as well as a base location for the schema
+function readSchema(namespace, schema, cb) {
+  if (/^\s*</.test(schema)) {
+    cb(null, schema, null);
+    return;
+  }
+
+  fs.readFile(schema, {encoding: 'utf-8'}, function (err, content) {
+    if (err) {
+      cb(errors.wrap(errors.SchemaNotFoundError, 'SCHEMA_LOAD_FAILED', err, {namespace: namespace, location: schema}));
+      return;
+    }
+
+    cb(null, content, path.resolve(schema));
+  });
+}
+
+// Adds schemas from a dict of namespace URLs and schemas (or lists of them), where a schema is its
+// content or a path to a file with it. Afterwards it makes sure all imported and included schemas
+// are available, reading them from files (relative locations are resolved against the path of the
+// schema) or downloading them if automatic downloading is enabled. Calls a callback or, if it is
+// not given, returns a promise.
+Parser.prototype.addSchemas = function (schemas, cb) {
+  var self = this;
+
+  return promise.callbackOrPromise(cb, function (cb) {
+    var foundSchemas = {};
+    var bases = {};
+    var referenced = {};
+
+    async.each(_.keys(schemas), function (namespaceUrl, cb) {
+      var namespaceSchemas = schemas[namespaceUrl];
+      if (!_.isArray(namespaceSchemas)) {
+        namespaceSchemas = [namespaceSchemas];
+      }
+      async.each(namespaceSchemas, function (schema, cb) {
+        readSchema(namespaceUrl, schema, function (err, schemaContent, baseLocation) {
+          if (err) {
+            cb(err);
+            return;
+          }
+
+          self.addSchema(namespaceUrl, schemaContent, baseLocation, function (err, importsAndIncludes) {
+            if (err) {
+              cb(err);
+              return;
+            }
+
+            _.each(importsAndIncludes, function (nextSchemaUrls, nextNamespaceUrl) {
+              _.each(nextSchemaUrls, function (nextSchemaUrl) {
+                multivalue.addValue(foundSchemas, nextNamespaceUrl, nextSchemaUrl);
+                // Namespace-only imports have no location to resolve or trust
+                if (!nextSchemaUrl) {
+                  return;
+                }
+                if (baseLocation) {
+                  bases[nextSchemaUrl] = baseLocation;
+                }
+                referenced[nextSchemaUrl] = true;
+              });
+            });
+
+            cb();
+          });
+        });
+      }, cb);
+    }, function (err) {
+      if (err) {
+        cb(err);
+        return;
+      }
+
+      satisfySchemas(self, foundSchemas, bases, referenced, function (err) {
+        cb(err);
+      });
+    });
+  });
+};
+
+// Registers a converter for a type with a given name ({namespace}name), either a built-in type or
+// a simple type from a schema, which does not have to be added yet. A converter is an object with
+// a parse function, which receives the lexical value and in-scope namespace prefixes, and an optional
+// serialize function used by a builder. Types derived from the type use the converter as well,
+// unless they have a converter of their own.
+Parser.prototype.registerType = function (typeName, converter) {
+  var self = this;
+
+  if (!/^\{.*\}.+$/.test(typeName)) {
+    throw new Error("Type name should be in the {namespace}name form: " + typeName);
+  }
+  else if (!converter || !_.isFunction(converter.parse)) {
+    throw new Error("Converter for type " + typeName + " should have a parse function");
+  }
+  self.converters[typeName] = converter;
+};
+
+Parser.prototype.isRecordPath = function (path) {
+  var self = this;
+
+  if (!self.recordPath || path.length !== self.recordPath.length) {
+    return false;
+  }
+
+  return _.every(self.recordPath, function (segment, i) {
+    var match = /^\{(.*)\}(.+)$/.exec(path[i]);
+    return match && match[2] === segment[1] && (segment[0] === null || match[1] === segment[0]);
+  });
+};
+
+// Parses XML from a readable stream without keeping the whole document in memory. Elements at the
+// given path (like /{namespace}root/child/record) are converted and passed one by one to recordCb as
+// soon as they are closed, and are then removed from the document. The rest of the document is
+// passed to cb at the end. Schemas are searched for in each chunk before it is parsed.
+Parser.prototype.parseStream = function (stream, recordPath, recordCb, cb) {
+  var self = this;
+
+  var segments = parseRecordPath(recordPath);
+  if (!segments) {
+    // The callback is always called asynchronously, also when nothing is read from the stream
+    process.nextTick(function () {
+      cb(new errors.ArgumentError('INVALID_RECORD_PATH', "Invalid record path: " + recordPath, {actual: recordPath}));
+    });
+    return;
+  }
+
+  var finished = false;
+  var finish = function (err, result) {
+    if (finished) {
+      return;
+    }
+    finished = true;
+
+    stream.removeListener('data', onData);
+    stream.removeListener('end', onEnd);
+    stream.removeListener('error', finish);
+    self.recordPath = null;
+    self.queuedRecords = [];
+    self.reset();
+
     if (err) {
       cb(err);
       return;
     }
+    cb(null, result, self.validationErrors);
+  };
 
-    xml2js.Parser.prototype.parseString.call(self, str, cb);
+  var flushRecords = function () {
+    var records = self.queuedRecords;
+    self.queuedRecords = [];
+    _.each(records, function (record) {
+      var parent = record[0];
+      var nodeName = record[1];
+      // Parent is undefined if the record is the root element
+      if (parent) {
+        parent[nodeName].pop();
+        if (!parent[nodeName].length) {
+          delete parent[nodeName];
+        }
+      }
+      recordCb(record[2]);
+    });
+  };
+
+  self.reset();
+  self.recordPath = segments;
+  self.queuedRecords = [];
+  self.validationErrors = self.options.collectErrors ? [] : null;
+  self.warnings = [];
+  self.rootKey = null;
+
+  self.on('end', function (result) {
+    try {
+      flushRecords();
+      renameRoot(self, result);
+    }
+    catch (err) {
+      finish(err);
+      return;
+    }
+    finish(null, result);
   });
+  self.on('error', finish);
+
+  // Validator queues converted records, we pass them on once xml2js adds them to their parent
+  var onclosetag = self.saxParser.onclosetag;
+  self.saxParser.onclosetag = function () {
+    onclosetag.apply(this, arguments);
+    if (!finished) {
+      flushRecords();
+    }
+  };
+
+  // A separate SAX parser is used to find schemas in a chunk before the chunk is parsed
+  var knownSchemas = {};
+  var foundSchemas = {};
+  var scanner = sax.parser(self.options.strict, {xmlns: true});
+  scanner.onopentag = function (node) {
+    var schemas = {};
+    self.findSchemasInAttributes(schemas, node.attributes);
+    _.each(schemas, function (schemaUrls, namespaceUrl) {
+      _.each(schemaUrls, function (schemaUrl) {
+        if (!multivalue.hasValue(knownSchemas, namespaceUrl, schemaUrl)) {
+          multivalue.addValue(knownSchemas, namespaceUrl, schemaUrl);
+          multivalue.addValue(foundSchemas, namespaceUrl, schemaUrl);
+        }
+      });
+    });
+  };
+  scanner.onerror = function () {
+    // Errors are reported by the main parser
+    scanner.resume();
+  };
+
+  var write = function (str) {
+    try {
+      self.saxParser.write(str);
+    }
+    catch (err) {
+      finish(err);
+    }
+  };
+
+  var decoder = new StringDecoder('utf8');
+  var first = true;
+
+  function onData(chunk) {
+    var str = _.isString(chunk) ? chunk : decoder.write(chunk);
+    if (first) {
+      str = str.replace(/^\uFEFF/, '');
+      first = false;
+    }
+
+    try {
+      scanner.write(str);
+    }
+    catch (err) {
+      finish(err);
+      return;
+    }
+
+    if (_.isEmpty(foundSchemas)) {
+      write(str);
+      return;
+    }
+
+    var schemas = foundSchemas;
+    foundSchemas = {};
+
+    stream.pause();
+    satisfySchemas(self, schemas, function (err) {
+      if (err) {
+        finish(err);
+        return;
+      }
+
+      write(str);
+      if (!finished) {
+        stream.resume();
+      }
+    });
+  }
+
+  function onEnd() {
+    write(decoder.end());
+    if (finished) {
+      return;
+    }
+    try {
+      self.saxParser.close();
+    }
+    catch (err) {
+      finish(err);
+      return;
+    }
+    // Empty document
+    finish(null, null);
+  }
+
+  stream.on('data', onData);
+  stream.on('end', onEnd);
+  stream.on('error', finish);
 };
 
 exports.Parser = Parser;
@@ -0,0 +1,25 @@
+// Support for both callback and promise style APIs
+
+var _ = require('underscore');
+
+// Calls fn with a node-style callback. If cb is a function it is used as that callback,
+// otherwise a promise is returned which is resolved or rejected through the callback.
+function callbackOrPromise(cb, fn) {
+  if (_.isFunction(cb)) {
+    fn(cb);
+    return;
+  }
+
+  return new Promise(function (resolve, reject) {
+    fn(function (err, result) {
+      if (err) {
+        reject(err);
+      }
+      else {
+        resolve(result);
+      }
+    });
+  });
+}
+
+exports.callbackOrPromise = callbackOrPromise;
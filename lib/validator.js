@@ -3,25 +3,23 @@ var xml2js = require('xml2js');
 var _ = require('underscore');
 
 var assert = require('./assert');
-
-function isPlainObject(obj) {
-  if (!_.isObject(obj) || _.isArray(obj) || _.isFunction(obj)) {
-    return false;
-  }
-  else if (obj.constructor !== Object) {
-    return false;
-  }
-  return true;
-}
+var datatypes = require('./datatypes');
+var errors = require('./errors');
+var objects = require('./objects');
+var xsd = require('./xsd');
 
 function deepExtend() {
   var obj = arguments[0];
   var args = Array.prototype.slice.call(arguments, 1);
   _.each(args, function(source) {
     _.each(source, function(value, key) {
-      if (obj[key] && value && isPlainObject(obj[key]) && isPlainObject(value)) {
+      if (obj[key] && value && objects.isPlainObject(obj[key]) && objects.isPlainObject(value)) {
         obj[key] = deepExtend(obj[key], value);
       }
+      // We copy objects so that extending them later on does not modify the source
+      else if (objects.isPlainObject(value)) {
+        obj[key] = deepExtend({}, value);
+      }
       else {
         obj[key] = value;
       }
@@ -30,16 +28,210 @@ function deepExtend() {
   return obj;
 }
 
+// XML Schema regular expression multi-character escapes for name characters, without the surrounding brackets
+var NAME_CHARACTER_ESCAPES = {
+  'i': '_:A-Za-z\\u00C0-\\u00D6\\u00D8-\\u00F6\\u00F8-\\u02FF\\u0370-\\u037D\\u037F-\\u1FFF\\u200C-\\u200D\\u2070-\\u218F\\u2C00-\\u2FEF\\u3001-\\uD7FF\\uF900-\\uFDCF\\uFDF0-\\uFFFD',
+  'c': '\\-.0-9_:A-Za-z\\u00B7\\u00C0-\\u00D6\\u00D8-\\u00F6\\u00F8-\\u037D\\u037F-\\u1FFF\\u200C-\\u200D\\u203F-\\u2040\\u2070-\\u218F\\u2C00-\\u2FEF\\u3001-\\uD7FF\\uF900-\\uFDCF\\uFDF0-\\uFFFD'
+};
+
+// Built-in types which do not collapse whitespace, all other built-in types do
+var WHITESPACE_TYPES = {
+  '{http://www.w3.org/2001/XMLSchema}string': 'preserve',
+  '{http://www.w3.org/2001/XMLSchema}normalizedString': 'replace'
+};
+
+var compiledPatterns = {};
+
+function unsupportedPattern(pattern) {
+  return new errors.SchemaError('INVALID_SCHEMA', "Unsupported pattern " + util.inspect(pattern), {actual: pattern});
+}
+
+// Translates an escape starting with the backslash at index i, returns its source and index of its last character
+function translateEscape(pattern, i, inClass) {
+  var next = pattern.charAt(i + 1);
+  var lower = next.toLowerCase();
+  if (NAME_CHARACTER_ESCAPES[lower]) {
+    if (inClass) {
+      // Negated escapes cannot be expressed inside a class, so we use them as non-negated
+      return {source: NAME_CHARACTER_ESCAPES[lower], end: i + 1};
+    }
+    return {source: (next === lower ? '[' : '[^') + NAME_CHARACTER_ESCAPES[lower] + ']', end: i + 1};
+  }
+  else if (lower === 'p') {
+    // Unicode categories are supported by JavaScript, block escapes (IsBasicLatin) are not
+    var match = /^\{([A-Za-z]+)\}/.exec(pattern.slice(i + 2));
+    if (!match || /^Is/.test(match[1])) {
+      throw unsupportedPattern(pattern);
+    }
+    return {source: '\\' + next + match[0], end: i + 1 + match[0].length};
+  }
+  else if (next === '-' && !inClass) {
+    // Unicode regular expressions allow the escape only inside a class
+    return {source: '-', end: i + 1};
+  }
+  return {source: '\\' + next, end: i + 1};
+}
+
+// Translates a character class starting with the bracket at index i, returns its source and index of the
+// closing bracket. A subtraction ([a-z-[aeiou]]) becomes a negative lookahead before the class.
+function translateClass(pattern, i) {
+  var source = '[';
+  var j = i + 1;
+  // Negation or a literal closing bracket at the start of the class
+  if (pattern.charAt(j) === '^') {
+    source += '^';
+    j++;
+  }
+  if (pattern.charAt(j) === ']') {
+    source += '\\]';
+    j++;
+  }
+  for (; j < pattern.length; j++) {
+    var c = pattern.charAt(j);
+    if (c === '\\') {
+      var escape = translateEscape(pattern, j, true);
+      source += escape.source;
+      j = escape.end;
+    }
+    else if (c === '-' && pattern.charAt(j + 1) === '[') {
+      var subtracted = translateClass(pattern, j + 1);
+      // Subtraction is always the last part of a class
+      if (pattern.charAt(subtracted.end + 1) !== ']') {
+        throw unsupportedPattern(pattern);
+      }
+      return {source: '(?:(?!' + subtracted.source + ')' + source + '])', end: subtracted.end + 1};
+    }
+    else if (c === ']') {
+      return {source: source + ']', end: j};
+    }
+    else {
+      source += c;
+    }
+  }
+  throw unsupportedPattern(pattern);
+}
+
+// XML Schema patterns are implicitly anchored, do not know ^ and $ anchors, and have some additional escapes
+// and character class subtraction. They are matched against Unicode code points.
+function patternToRegExp(pattern) {
+  if (compiledPatterns[pattern]) {
+    return compiledPatterns[pattern];
+  }
+
+  var source = '';
+  for (var i = 0; i < pattern.length; i++) {
+    var c = pattern.charAt(i);
+    var translated;
+    if (c === '\\') {
+      translated = translateEscape(pattern, i, false);
+      source += translated.source;
+      i = translated.end;
+    }
+    else if (c === '[') {
+      translated = translateClass(pattern, i);
+      source += translated.source;
+      i = translated.end;
+    }
+    else if (c === '^' || c === '$') {
+      source += '\\' + c;
+    }
+    else {
+      source += c;
+    }
+  }
+
+  try {
+    compiledPatterns[pattern] = new RegExp('^(?:' + source + ')$', 'u');
+  }
+  catch (e) {
+    throw unsupportedPattern(pattern);
+  }
+  return compiledPatterns[pattern];
+}
+
+function normalizeWhiteSpace(whiteSpace, value) {
+  if (whiteSpace === 'replace') {
+    return value.replace(/[\t\n\r]/g, ' ');
+  }
+  else if (whiteSpace === 'collapse') {
+    return value.replace(/[\t\n\r ]+/g, ' ').replace(/^ | $/g, '');
+  }
+  return value;
+}
+
+// Returns number of total and fraction digits of a decimal lexical value
+function countDigits(value) {
+  var match = /^[+\-]?0*(\d*)(?:\.(\d*?)0*)?$/.exec(value);
+  if (!match) {
+    return null;
+  }
+  return {
+    totalDigits: Math.max(match[1].length + (match[2] ? match[2].length : 0), 1),
+    fractionDigits: match[2] ? match[2].length : 0
+  };
+}
+
+function decimalParts(value) {
+  var match = /^([+\-]?)0*(\d*)(?:\.(\d*?)0*)?$/.exec(value);
+  if (!match || !/\d/.test(value)) {
+    return null;
+  }
+  return {
+    // Zero has no sign
+    negative: match[1] === '-' && !!(match[2] || match[3]),
+    integer: match[2],
+    fraction: match[3] || ''
+  };
+}
+
+// Compares two decimal lexical values exactly, returns a negative number, zero, or a positive
+// number, or NaN if any of them is not a decimal lexical value
+function compareDecimals(a, b) {
+  a = decimalParts(a);
+  b = decimalParts(b);
+  if (!a || !b) {
+    return NaN;
+  }
+  else if (a.negative !== b.negative) {
+    return a.negative ? -1 : 1;
+  }
+  var result = a.integer.length - b.integer.length;
+  if (!result) {
+    var length = Math.max(a.fraction.length, b.fraction.length);
+    var aDigits = a.integer + a.fraction + new Array(length - a.fraction.length + 1).join('0');
+    var bDigits = b.integer + b.fraction + new Array(length - b.fraction.length + 1).join('0');
+    result = aDigits < bDigits ? -1 : (aDigits > bDigits ? 1 : 0);
+  }
+  return a.negative ? -result : result;
+}
+
+function valueLength(value, parsedValue) {
+  if (_.isArray(parsedValue) || Buffer.isBuffer(parsedValue)) {
+    return parsedValue.length;
+  }
+  return value.length;
+}
+
+function typeNotFound(xpath, typeName) {
+  return new errors.SchemaError('TYPE_NOT_FOUND', "Type " + typeName + " not found", {xpath: xpath, expected: typeName});
+}
+
+// Used instead of parsing for types left as strings
+function keepString(value) {
+  return value;
+}
+
 var ValidatorMixin = {
   resolveType: function (xpath, typeName) {
     var self = this;
 
     if (!self.types[typeName]) {
-      throw new xml2js.ValidationError("Type " + typeName + " not found, xpath: " + xpath + ", known types: " + util.inspect(self.types, false, null));
+      throw typeNotFound(xpath, typeName);
     }
-    else if (self.types[typeName].base) {
-      var bases = self.types[typeName].base;
-      var other = _.omit(self.types[typeName], 'base');
+    var type = self.resolveGroups(xpath, self.types[typeName]);
+    if (type.base) {
+      var bases = type.base;
+      var other = _.omit(type, 'base');
       if (!_.isArray(bases)) {
         bases = [bases];
       }
@@ -49,8 +241,13 @@ var ValidatorMixin = {
           // Make sure we do not override some other type by accident
           var r = deepExtend({}, res, other);
           // If it is a restriction we limit children to those from other
-          if (self.types[typeName].restriction) {
+          if (type.restriction) {
             r.children = _.pick(r.children, _.keys(other.children));
+            r.order = other.order || [];
+          }
+          // Children added by an extension follow children of the base
+          else if (res.order && other.order) {
+            r.order = res.order.concat(other.order);
           }
           // Attributes can be restricted only in content, which we do not care about
           r.attributes = _.pick(r.attributes, _.keys(other.attributes));
@@ -60,21 +257,112 @@ var ValidatorMixin = {
       return resolved;
     }
     else {
-      return [self.types[typeName]];
+      return [type];
     }
   },
 
+  // Returns a copy of the type (or a group) with children and attributes of referenced groups merged in
+  resolveGroups: function (xpath, type) {
+    var self = this;
+
+    if (!type.groups && !type.attributeGroups) {
+      return type;
+    }
+
+    var resolved = _.omit(type, 'groups', 'attributeGroups');
+    var groupOrders = {};
+    _.each(type.groups || [], function (reference) {
+      var group = self.resolveGroup(xpath, reference);
+      resolved.children = _.extend({}, resolved.children, group.children);
+      if (group.anyChildren) {
+        resolved.anyChildren = true;
+        if (_.has(group, 'isArray')) {
+          resolved.isArray = group.isArray;
+        }
+      }
+      groupOrders[reference.ref] = group.order || _.keys(group.children);
+    });
+    if (type.order) {
+      // Group references in the order are replaced with children of groups
+      resolved.order = _.flatten(_.map(type.order, function (particle) {
+        return _.isString(particle) ? [particle] : groupOrders[particle.ref];
+      }), true);
+    }
+    _.each(type.attributeGroups || [], function (reference) {
+      if (!self.attributeGroups[reference.ref]) {
+        throw new errors.SchemaError('ATTRIBUTE_GROUP_NOT_FOUND', "Referenced attribute group " + reference.ref + " not found", {xpath: xpath, expected: reference.ref});
+      }
+      resolved.attributes = _.extend({}, resolved.attributes, self.resolveGroups(xpath, self.attributeGroups[reference.ref]).attributes);
+    });
+    return resolved;
+  },
+
+  resolveGroup: function (xpath, reference) {
+    var self = this;
+
+    if (!self.groups[reference.ref]) {
+      throw new errors.SchemaError('GROUP_NOT_FOUND', "Referenced group " + reference.ref + " not found", {xpath: xpath, expected: reference.ref});
+    }
+    var group = self.resolveGroups(xpath, self.groups[reference.ref]);
+    if (!_.isBoolean(reference.isArrayDefault)) {
+      return group;
+    }
+
+    // Occurrence of the group reference applies to all its children, but a repeated group
+    // makes all of them arrays even if they can occur only once inside the group itself
+    var isArrayDefault = reference.isArrayDefault;
+    var children = group.children;
+    group = _.clone(group);
+    group.children = {};
+    _.each(children, function (child, name) {
+      child = _.clone(child);
+      if (child.ref) {
+        if (isArrayDefault || !_.has(child, 'isArrayDefault')) {
+          child.isArrayDefault = isArrayDefault;
+        }
+      }
+      else if (isArrayDefault || !_.has(child, 'isArray')) {
+        child.isArray = isArrayDefault;
+      }
+      group.children[name] = child;
+    });
+    if (group.anyChildren && (isArrayDefault || !_.has(group, 'isArray'))) {
+      group.isArray = isArrayDefault;
+    }
+    return group;
+  },
+
   resolveAttributeType: function (xpath, typeName) {
     var self = this;
 
-    while (_.isObject(typeName)) {
-      assert(typeName.ref, typeName);
-      if (!self.attributes[typeName.ref]) {
-        throw new xml2js.ValidationError("Referenced attribute " + typeName.ref + " not found, xpath: " + xpath + ", known attributes: " + util.inspect(self.attributes, false, null));
+    while (_.isObject(typeName) && !typeName.type) {
+      typeName = self.resolveAttributeReference(xpath, typeName);
+    }
+    return _.isObject(typeName) ? typeName.type : typeName;
+  },
+
+  resolveAttributeReference: function (xpath, attribute) {
+    var self = this;
+
+    assert(attribute.ref, attribute);
+    if (!self.attributes[attribute.ref]) {
+      throw new errors.SchemaError('ATTRIBUTE_NOT_FOUND', "Referenced attribute " + attribute.ref + " not found", {xpath: xpath, attribute: attribute.ref});
+    }
+    return self.attributes[attribute.ref];
+  },
+
+  // Default or fixed value of an attribute, from its reference or declaration, see valueConstraint
+  resolveAttributeValueConstraint: function (xpath, attribute) {
+    var self = this;
+
+    while (_.isObject(attribute)) {
+      var constraint = valueConstraint(attribute);
+      if (constraint || !attribute.ref) {
+        return constraint;
       }
-      typeName = self.attributes[typeName.ref];
+      attribute = self.resolveAttributeReference(xpath, attribute);
     }
-    return typeName;
+    return null;
   },
 
   resolveElement: function (xpath, element) {
@@ -83,13 +371,19 @@ var ValidatorMixin = {
     var isArrayDefault = null;
     while (element.ref) {
       if (!self.elements[element.ref]) {
-        throw new xml2js.ValidationError("Referenced element " + element.ref + " not found, xpath: " + xpath + ", known attributes: " + util.inspect(self.elements, false, null));
+        throw new errors.SchemaError('ELEMENT_NOT_FOUND', "Referenced element " + element.ref + " not found", {xpath: xpath, element: element.ref});
       }
       if (_.has(element, 'isArrayDefault')) {
         isArrayDefault = element.isArrayDefault;
       }
       element = self.elements[element.ref];
     }
+    if (!element.type && element.substitutionGroup) {
+      // A member of a substitution group without a type has the type of its head
+      element = _.extend({}, element, {
+        type: self.resolveElement(xpath, {ref: element.substitutionGroup}).type
+      });
+    }
     if (_.has(element, 'isArray')) {
       assert(_.isBoolean(element.isArray), element);
     }
@@ -100,15 +394,68 @@ var ValidatorMixin = {
     return element;
   },
 
+  // Names of all elements in the substitution group of a head element, including members of members
+  substitutionMembers: function (head) {
+    var self = this;
+
+    var members = [];
+    var add = function (name) {
+      _.each(self.substitutionGroups[name] || [], function (member) {
+        if (!_.contains(members, member) && member !== head) {
+          members.push(member);
+          add(member);
+        }
+      });
+    };
+    add(head);
+    return members;
+  },
+
+  // Returns children of a type with members of substitution groups added wherever their head is referenced.
+  // Members occur as their head (maxOccurs of the reference applies to them) but with their own declarations.
+  substituteChildren: function (children) {
+    var self = this;
+
+    var substituted = children;
+    _.each(children, function (child) {
+      if (!child.ref) {
+        return;
+      }
+      _.each(self.substitutionMembers(child.ref), function (member) {
+        if (!_.has(children, member)) {
+          substituted = substituted === children ? _.clone(children) : substituted;
+          substituted[member] = _.extend({}, child, {ref: member});
+        }
+      });
+    });
+    return substituted;
+  },
+
   resolveToParse: function (xpath, typeName) {
     var self = this;
 
-    if (!self.types[typeName]) {
-      throw new xml2js.ValidationError("Type " + typeName + " not found, xpath: " + xpath + ", known types: " + util.inspect(self.types, false, null));
+    if (self.converters[typeName]) {
+      return [self.converters[typeName].parse];
+    }
+    else if (!self.types[typeName]) {
+      throw typeNotFound(xpath, typeName);
     }
     else if (self.types[typeName].parse) {
+      if (self.types[typeName].extended && !self.options.convertExtendedTypes) {
+        return [keepString];
+      }
+      else if (self.types[typeName].family) {
+        return [self.numberParsers[self.types[typeName].family]];
+      }
       return [self.types[typeName].parse];
     }
+    else if (self.types[typeName].list) {
+      // Values of list types are split into items, each parsed with the item type
+      var itemTypeName = self.types[typeName].list;
+      return [function (value, namespaces) {
+        return self.parseListValue(xpath, itemTypeName, value, namespaces);
+      }];
+    }
     else if (self.types[typeName].base) {
       if (_.isArray(self.types[typeName].base)) {
         var res = [];
@@ -126,13 +473,14 @@ var ValidatorMixin = {
     }
   },
 
-  tryParse: function (parse, value) {
+  // Namespaces are in-scope namespace prefixes of the node, used to parse QName values
+  tryParse: function (parse, value, namespaces) {
     var self = this;
 
     var exception = null;
     for (var i = 0; i < parse.length; i++) {
       try {
-        return parse[0](value);
+        return parse[i](value, namespaces);
       }
       catch (e) {
         exception = e;
@@ -142,6 +490,368 @@ var ValidatorMixin = {
     throw exception;
   },
 
+  // Facets of all derivation steps have to be satisfied, so we return a list of facets of the type and all its bases
+  resolveToFacets: function (xpath, typeName) {
+    var self = this;
+
+    var facets = [];
+    var whiteSpace = null;
+    while (typeName) {
+      if (!self.types[typeName]) {
+        throw typeNotFound(xpath, typeName);
+      }
+      var type = self.types[typeName];
+      if (type.facets) {
+        facets.push(type.facets);
+        if (!whiteSpace && type.facets.whiteSpace) {
+          whiteSpace = type.facets.whiteSpace;
+        }
+      }
+      if (!whiteSpace && _.has(WHITESPACE_TYPES, typeName)) {
+        whiteSpace = WHITESPACE_TYPES[typeName];
+      }
+      // Facets of union members are not checked
+      typeName = _.isArray(type.base) ? null : type.base;
+    }
+    return {
+      facets: facets,
+      whiteSpace: whiteSpace || 'collapse'
+    };
+  },
+
+  checkFacets: function (xpath, typeName, parse, value, parsedValue, namespaces) {
+    var self = this;
+
+    var resolved = self.resolveToFacets(xpath, typeName);
+    value = normalizeWhiteSpace(resolved.whiteSpace, value);
+
+    // Facet values of a restricted union are parsed in the same way as values
+    var members = self.resolveToMembers(xpath, typeName);
+    var parseFacet = function (facetValue) {
+      return members ? self.parseUnionValue(xpath, typeName, members, facetValue, namespaces) : self.tryParse(parse, facetValue, namespaces);
+    };
+
+    // Integers and decimals are compared using their lexical values, so that the comparison is
+    // exact whatever their representation (see the numberTypes parser option)
+    var builtin = !members && self.resolveToBuiltin(xpath, typeName);
+    var numeric = builtin && builtin.family;
+    var compare = function (facetValue) {
+      if (numeric) {
+        return compareDecimals(value, normalizeWhiteSpace('collapse', facetValue));
+      }
+      var parsedFacet = parseFacet(facetValue);
+      // Durations, times and Gregorian values have their own order, not the one of their strings
+      var order = datatypes.compareValues(parsedValue, parsedFacet);
+      if (order !== null) {
+        return order;
+      }
+      if (parsedValue < parsedFacet) {
+        return -1;
+      }
+      else if (parsedValue > parsedFacet) {
+        return 1;
+      }
+      // Values like dates are equal only by comparison
+      return parsedValue >= parsedFacet ? 0 : NaN;
+    };
+
+    var fail = function (facet, facetValue) {
+      throw new errors.ValidationError('FACET_VIOLATION', "Value " + util.inspect(value) + " does not satisfy " + facet + " facet (" + facetValue + ")", {
+        xpath: xpath,
+        expected: facet + ': ' + facetValue,
+        actual: value
+      });
+    };
+
+    _.each(resolved.facets, function (facets) {
+      if (facets.enumeration && !_.some(facets.enumeration, function (enumeration) {
+        return enumeration === value || (numeric ? compare(enumeration) === 0 : _.isEqual(parseFacet(enumeration), parsedValue));
+      })) {
+        fail('enumeration', facets.enumeration.join(', '));
+      }
+      // Patterns in the same derivation step are alternatives
+      if (facets.pattern && !_.some(facets.pattern, function (pattern) {
+        return patternToRegExp(pattern).test(value);
+      })) {
+        fail('pattern', facets.pattern.join(' | '));
+      }
+      if (_.has(facets, 'length') && valueLength(value, parsedValue) !== facets.length) {
+        fail('length', facets.length);
+      }
+      if (_.has(facets, 'minLength') && valueLength(value, parsedValue) < facets.minLength) {
+        fail('minLength', facets.minLength);
+      }
+      if (_.has(facets, 'maxLength') && valueLength(value, parsedValue) > facets.maxLength) {
+        fail('maxLength', facets.maxLength);
+      }
+      if (_.has(facets, 'minInclusive') && !(compare(facets.minInclusive) >= 0)) {
+        fail('minInclusive', facets.minInclusive);
+      }
+      if (_.has(facets, 'maxInclusive') && !(compare(facets.maxInclusive) <= 0)) {
+        fail('maxInclusive', facets.maxInclusive);
+      }
+      if (_.has(facets, 'minExclusive') && !(compare(facets.minExclusive) > 0)) {
+        fail('minExclusive', facets.minExclusive);
+      }
+      if (_.has(facets, 'maxExclusive') && !(compare(facets.maxExclusive) < 0)) {
+        fail('maxExclusive', facets.maxExclusive);
+      }
+      if (_.has(facets, 'totalDigits') || _.has(facets, 'fractionDigits')) {
+        var digits = countDigits(value);
+        if (_.has(facets, 'totalDigits') && (!digits || digits.totalDigits > facets.totalDigits)) {
+          fail('totalDigits', facets.totalDigits);
+        }
+        if (_.has(facets, 'fractionDigits') && (!digits || digits.fractionDigits > facets.fractionDigits)) {
+          fail('fractionDigits', facets.fractionDigits);
+        }
+      }
+    });
+  },
+
+  // Returns member type names of a union type (or of a type derived from it by restriction)
+  // in declaration order, or null if the type is not a union
+  resolveToMembers: function (xpath, typeName) {
+    var self = this;
+
+    while (typeName) {
+      if (!self.types[typeName]) {
+        throw typeNotFound(xpath, typeName);
+      }
+      var type = self.types[typeName];
+      // A registered converter parses union values as a whole
+      if (type.parse || self.converters[typeName]) {
+        return null;
+      }
+      else if (_.isArray(type.base)) {
+        return type.base;
+      }
+      typeName = type.base;
+    }
+    return null;
+  },
+
+  // Returns the item type name of a list type (or of a type derived from it by restriction),
+  // or null if the type is not a list
+  resolveToItemType: function (xpath, typeName) {
+    var self = this;
+
+    while (typeName) {
+      if (!self.types[typeName]) {
+        throw typeNotFound(xpath, typeName);
+      }
+      var type = self.types[typeName];
+      // A registered converter parses list values as a whole
+      if (type.parse || self.converters[typeName]) {
+        return null;
+      }
+      else if (type.list) {
+        return type.list;
+      }
+      typeName = _.isArray(type.base) ? null : type.base;
+    }
+    return null;
+  },
+
+  // Returns the built-in type (with a parse function) or a registered converter a non-union type
+  // derives from, or null
+  resolveToBuiltin: function (xpath, typeName) {
+    var self = this;
+
+    while (typeName) {
+      if (self.converters[typeName]) {
+        return self.converters[typeName];
+      }
+      else if (!self.types[typeName]) {
+        throw typeNotFound(xpath, typeName);
+      }
+      var type = self.types[typeName];
+      if (type.parse) {
+        return type;
+      }
+      typeName = _.isArray(type.base) ? null : type.base;
+    }
+    return null;
+  },
+
+  // Is the value in the lexical space of the (non-union) type's base type?
+  matchesLexical: function (xpath, typeName, value) {
+    var self = this;
+
+    var builtin = self.resolveToBuiltin(xpath, typeName);
+    return !builtin || !builtin.lexical || builtin.lexical.test(normalizeWhiteSpace(self.resolveToFacets(xpath, typeName).whiteSpace, value));
+  },
+
+  // Tries member types of a union in declaration order and parses the value with the first
+  // member whose lexical space and facets it satisfies
+  parseUnionValue: function (xpath, typeName, members, value, namespaces) {
+    var self = this;
+
+    for (var i = 0; i < members.length; i++) {
+      var memberMembers = self.resolveToMembers(xpath, members[i]);
+      try {
+        var parsedValue;
+        if (memberMembers) {
+          parsedValue = self.parseUnionValue(xpath, members[i], memberMembers, value, namespaces);
+        }
+        else if (self.matchesLexical(xpath, members[i], value)) {
+          parsedValue = self.tryParse(self.resolveToParse(xpath, members[i]), value, namespaces);
+        }
+        else {
+          continue;
+        }
+        // Facets are what distinguishes members with the same base type, so we always check them
+        self.checkFacets(xpath, members[i], self.resolveToParse(xpath, members[i]), value, parsedValue, namespaces);
+        return parsedValue;
+      }
+      catch (e) {
+        if (!(e instanceof xml2js.ValidationError)) {
+          throw e;
+        }
+      }
+    }
+    throw new errors.ValidationError('UNION_NO_MATCH', "Value " + util.inspect(value) + " does not match any member type of union " + typeName + " (" + members.join(', ') + ")", {
+      xpath: xpath,
+      expected: members,
+      actual: value
+    });
+  },
+
+  // Splits a value of a list type on whitespace and parses every item with the item type, so
+  // that items are converted (and their facets checked) as values of the item type are
+  parseListValue: function (xpath, itemTypeName, value, namespaces) {
+    var self = this;
+
+    var parse = self.resolveToParse(xpath, itemTypeName);
+    var items = normalizeWhiteSpace('collapse', value);
+    return items ? _.map(items.split(' '), function (item) {
+      var parsedItem = self.convertValue(xpath, itemTypeName, parse, item, namespaces);
+      if (self.options.validateFacets) {
+        self.checkFacets(xpath, itemTypeName, parse, item, parsedItem, namespaces);
+      }
+      return parsedItem;
+    }) : [];
+  },
+
+  // Parses the value of a simple type, which can be a union or a list as well
+  convertValue: function (xpath, typeName, parse, value, namespaces) {
+    var self = this;
+
+    var members = self.resolveToMembers(xpath, typeName);
+    if (members) {
+      return self.parseUnionValue(xpath, typeName, members, value, namespaces);
+    }
+    var itemTypeName = self.resolveToItemType(xpath, typeName);
+    if (itemTypeName) {
+      return self.parseListValue(xpath, itemTypeName, value, namespaces);
+    }
+    var parsedValue = self.tryParse(parse, value, namespaces);
+    // Integers and decimals which are not numbers are converted to NaN, they are reported
+    // only when validating facets or collecting errors
+    if (_.isNaN(parsedValue) && (self.options.validateFacets || self.validationErrors)) {
+      var builtin = self.resolveToBuiltin(xpath, typeName);
+      if (builtin && builtin.family) {
+        throw new errors.ValidationError('INVALID_VALUE', "Invalid " + builtin.family + " value " + util.inspect(value), {
+          expected: typeName,
+          actual: value
+        });
+      }
+    }
+    return parsedValue;
+  },
+
+  // Parses the value and checks it against facets of the type, if enabled. When collecting errors,
+  // a value which cannot be parsed is kept as a string and a value violating facets is kept parsed.
+  parseValue: function (xpath, typeName, parse, value, namespaces) {
+    var self = this;
+
+    var parsedValue = value;
+    try {
+      parsedValue = self.convertValue(xpath, typeName, parse, value, namespaces);
+      if (self.options.validateFacets) {
+        self.checkFacets(xpath, typeName, parse, value, parsedValue, namespaces);
+      }
+    }
+    catch (e) {
+      if (e instanceof errors.ValidationError) {
+        errors.addDetails(e, {xpath: xpath});
+      }
+      self.collectError(e);
+    }
+    return parsedValue;
+  },
+
+  // Checks that a parsed value of an element or an attribute is equal to its parsed fixed value
+  checkFixedValue: function (xpath, typeName, parse, value, fixed, namespaces, details) {
+    var self = this;
+
+    if (!_.isEqual(value, self.parseValue(xpath, typeName, parse, fixed, namespaces))) {
+      self.collectError(new errors.ValidationError('FIXED_VALUE_MISMATCH', "Value " + util.inspect(value) + " does not match fixed value " + util.inspect(fixed), _.extend({
+        xpath: xpath,
+        expected: fixed,
+        actual: value
+      }, details)));
+    }
+  },
+
+  // Adds attributes which are missing in the value but have a default or fixed value declared
+  applyAttributeDefaults: function (xpath, attributes, presentAttributes, value, namespaces) {
+    var self = this;
+
+    _.each(attributes, function (attribute, attributeName) {
+      var constraint = self.resolveAttributeValueConstraint(xpath, attribute);
+      if (!constraint || presentAttributes[attributeName]) {
+        return;
+      }
+      if (!objects.isPlainObject(value)) {
+        var v = value;
+        value = {};
+        if (v !== '') {
+          value[self.charkey] = v;
+        }
+      }
+      if (!value[self.attrkey]) {
+        value[self.attrkey] = {};
+      }
+      var attributeTypeName = self.resolveAttributeType(xpath, attribute);
+      // Only attribute references are qualified
+      var name = attribute.ref ? attributeName : attributeName.replace(/^\{.*\}/, '');
+      value[self.attrkey][self.outputName(namespaces, name, true)] = self.parseValue(xpath + '/@' + attributeName, attributeTypeName, self.resolveToParse(xpath, attributeTypeName), constraint.value, namespaces);
+    });
+    return value;
+  },
+
+  // While parsing with collectErrors, records a validation error so that validation can continue,
+  // otherwise (and for all other errors) throws it
+  collectError: function (e) {
+    var self = this;
+
+    if (!self.validationErrors || !(e instanceof errors.ValidationError)) {
+      throw e;
+    }
+    errors.addDetails(e, self.currentPosition());
+    self.validationErrors.push(e);
+  },
+
+  // Reports an element or an attribute not covered by schemas. When strictSchema is false it is recorded
+  // as a warning in parser.warnings, otherwise it is a validation error.
+  reportUnexpected: function (e) {
+    var self = this;
+
+    if (self.options.strictSchema) {
+      self.collectError(e);
+      return;
+    }
+    errors.addDetails(e, self.currentPosition());
+    self.warnings.push(e);
+  },
+
+  // Are elements and attributes with errors or not covered by schemas kept in the result?
+  keepsUnexpected: function () {
+    var self = this;
+
+    return !!self.validationErrors || !self.options.strictSchema;
+  },
+
   tryChildren: function (xpath, type) {
     var self = this;
 
@@ -150,27 +860,29 @@ var ValidatorMixin = {
         return self.elements;
       }
       else if (type[i].children) {
-        return type[i].children;
+        return self.substituteChildren(type[i].children);
       }
     }
-    throw new xml2js.ValidationError("Type does not expect children, xpath: " + xpath + ", type: " + util.inspect(type, false, null));
+    if (!self.options.strictSchema) {
+      // Children are then reported as unexpected elements
+      return {};
+    }
+    throw new errors.ValidationError('UNEXPECTED_CHILDREN', "Type does not expect children", {xpath: xpath});
   },
 
   resolveToAttributes: function (xpath, typeName) {
     var self = this;
 
     if (!self.types[typeName]) {
-      throw new xml2js.ValidationError("Type " + typeName + " not found, xpath: " + xpath + ", known types: " + util.inspect(self.types, false, null));
-    }
-    else if (self.types[typeName].attributes) {
-      return self.types[typeName].attributes;
+      throw typeNotFound(xpath, typeName);
     }
     else {
-      return {};
+      return self.resolveGroups(xpath, self.types[typeName]).attributes || {};
     }
   },
 
-  tryRemoveArrays: function (xpath, type, newValue) {
+  // Optional childNames is a dict of child keys and their namespaced names, see validateElement
+  tryRemoveArrays: function (xpath, type, newValue, childNames) {
     var self = this;
 
     var exception = null;
@@ -186,7 +898,9 @@ var ValidatorMixin = {
               return;
             }
             if (!type[i].isArray) {
-              assert(child.length === 1, child);
+              if (child.length !== 1) {
+                throw tooManyOccurrences(xpath, name, child.length);
+              }
               value[name] = child[0];
             }
           });
@@ -194,8 +908,9 @@ var ValidatorMixin = {
         else if (type[i].children) {
           // Children namespace might be different than current namespace, so we remove namespace both
           // from children and in the type and keys in the value and then we can match based on local name
+          var children = self.substituteChildren(type[i].children);
           var namespacelessChildren = {};
-          _.each(type[i].children, function (child, name) {
+          _.each(children, function (child, name) {
             namespacelessChildren[self.namespacedOrNotName({}, null, name, false)] = child;
           });
           _.each(value, function (child, name) {
@@ -203,18 +918,31 @@ var ValidatorMixin = {
               // Attribute, character content, and namespace keys are not part of the schema
               return;
             }
-            // We remove namespace from current key name as well
-            var childName = self.namespacedOrNotName({}, null, name, false);
+            // Children with known namespaced names are matched by them, so that children with the same
+            // local name in different namespaces are distinguished, otherwise we match by local name
+            var childElement;
+            if (childNames && _.has(childNames, name)) {
+              childElement = children[childNames[name]];
+            }
+            else {
+              childElement = namespacelessChildren[self.namespacedOrNotName({}, null, name, false)];
+            }
+            if (!childElement && self.keepsUnexpected()) {
+              // An unexpected child, already reported, we leave it as it is
+              return;
+            }
             // We checked this before, so here it should always match
-            assert(namespacelessChildren[childName], type[i].children);
-            if (!self.resolveElement(xpath, namespacelessChildren[childName]).isArray) {
-              assert(child.length === 1, child);
+            assert(childElement, children);
+            if (!self.resolveElement(xpath, childElement).isArray) {
+              if (child.length !== 1) {
+                throw tooManyOccurrences(xpath, (childNames && childNames[name]) || name, child.length);
+              }
               value[name] = child[0];
             }
           });
         }
-        else if (!_.isEmpty(_.omit(newValue, self.attrkey, self.charkey, self.xmlnskey))) {
-          throw new xml2js.ValidationError("Type does not expect children, xpath: " + xpath + ", type: " + util.inspect(type[i], false, null));
+        else if (!_.isEmpty(_.omit(newValue, self.attrkey, self.charkey, self.xmlnskey)) && self.options.strictSchema) {
+          throw new errors.ValidationError('UNEXPECTED_CHILDREN', "Type does not expect children", {xpath: xpath});
         }
         return value;
       }
@@ -226,19 +954,78 @@ var ValidatorMixin = {
     throw exception;
   },
 
+  // Is attribute in XML Schema instance namespace, based on namespace declarations and not the prefix used
+  isXsiAttribute: function (namespaces, name, value) {
+    var self = this;
+
+    if (_.isObject(value) && value.uri) {
+      return value.uri === xsd.XSI_NAMESPACE;
+    }
+    var parts = name.split(':');
+    return parts.length === 2 && namespaces[parts[0]] === xsd.XSI_NAMESPACE;
+  },
+
+  // Returns a value of an attribute in XML Schema instance namespace with a given local name
+  xsiAttribute: function (namespaces, nodeAttributes, local) {
+    var self = this;
+
+    var name = _.find(_.keys(nodeAttributes || {}), function (name) {
+      return name.replace(/^[^:]+:/, '') === local && self.isXsiAttribute(namespaces, name, nodeAttributes[name]);
+    });
+    return name && nodeAttributes[name];
+  },
+
+  // Is the element nilled with xsi:nil attribute?
+  isNilled: function (xpath, namespaces, nodeAttributes) {
+    var self = this;
+
+    var nil = self.xsiAttribute(namespaces, nodeAttributes, 'nil');
+    if (!nil) {
+      return false;
+    }
+    var typeName = '{http://www.w3.org/2001/XMLSchema}boolean';
+    return self.parseValue(xpath + '/@xsi:nil', typeName, self.resolveToParse(xpath, typeName), _.isString(nil) ? nil : nil.value, namespaces) === true;
+  },
+
+  // Value of a nilled element, null or an object with attributes and null as the value. Nilled element
+  // has to be nillable and without content.
+  nilledValue: function (xpath, name, element, value) {
+    var self = this;
+
+    if (!element.nillable) {
+      self.collectError(new errors.ValidationError('NOT_NILLABLE', "Element " + name + " is not nillable", {xpath: xpath, element: name}));
+    }
+    var content = _.omit(value, self.attrkey);
+    if (!_.isEmpty(content) && !(_.isEqual(_.keys(content), [self.charkey]) && content[self.charkey] === '')) {
+      self.collectError(new errors.ValidationError('NILLED_ELEMENT_NOT_EMPTY', "Nilled element " + name + " has content", {
+        xpath: xpath,
+        element: name,
+        actual: content
+      }));
+    }
+
+    if (_.isEmpty(value[self.attrkey]) || !self.options.keepNilAttributes) {
+      return null;
+    }
+    var nilled = {};
+    nilled[self.attrkey] = value[self.attrkey];
+    nilled[self.charkey] = null;
+    return nilled;
+  },
+
   resolveElementTypeName: function (xpath, namespaces, defaultNamespace, nodeAttributes, element) {
     var self = this;
 
-    // TODO: xsi prefix should probably not be hard-coded
-    if (nodeAttributes && nodeAttributes['xsi:type']) {
-      if (_.isString(nodeAttributes['xsi:type'])) {
-        return self.namespacedName(namespaces, defaultNamespace, nodeAttributes['xsi:type']);
+    var xsiType = self.xsiAttribute(namespaces, nodeAttributes, 'type');
+    if (xsiType) {
+      if (_.isString(xsiType)) {
+        return self.namespacedName(namespaces, defaultNamespace, xsiType);
       }
-      else if (nodeAttributes['xsi:type'].value) {
-        return self.namespacedName(namespaces, defaultNamespace, nodeAttributes['xsi:type'].value);
+      else if (xsiType.value) {
+        return self.namespacedName(namespaces, defaultNamespace, xsiType.value);
       }
       else {
-        throw new xml2js.ValidationError("Invalid attribute xsi:type value, xpath: " + xpath + ": " + util.inspect(nodeAttributes['xsi:type'], false, null));
+        throw new errors.ValidationError('INVALID_XSI_TYPE', "Invalid xsi:type attribute value", {xpath: xpath, actual: xsiType});
       }
     }
     return self.resolveElement(xpath, element).type;
@@ -247,8 +1034,9 @@ var ValidatorMixin = {
   nodeNamespace: function (node) {
     var self = this;
 
-    if (!node[self.xmlnskey].uri) {
-      throw new xml2js.ValidationError("Namespace information missing, element: " + util.inspect(node, false, null));
+    // Empty string is a valid value, the element is not in any namespace
+    if (!_.isString(node[self.xmlnskey].uri)) {
+      throw new errors.ValidationError('MISSING_NAMESPACE', "Namespace information missing for element " + node['#name'], {element: node['#name']});
     }
     return node[self.xmlnskey].uri;
   },
@@ -257,7 +1045,7 @@ var ValidatorMixin = {
     var self = this;
 
     if (!node[self.xmlnskey].ns) {
-      throw new xml2js.ValidationError("Namespaces information missing, element: " + util.inspect(node, false, null));
+      throw new errors.ValidationError('MISSING_NAMESPACE', "Namespaces information missing for element " + node['#name'], {element: node['#name']});
     }
     return node[self.xmlnskey].ns;
   },
@@ -268,22 +1056,20 @@ var ValidatorMixin = {
 
     assert(namespaces);
     assert(name);
-    if (/^\{.+\}/.test(name)) {
+    if (/^\{.*\}/.test(name)) {
       return name;
     }
     else if (/:/.test(name)) {
       var parts = name.split(':');
       assert(parts.length === 2, parts);
       if (!namespaces[parts[0]]) {
-        throw new xml2js.ValidationError("Unknown namespace " + parts[0] + ", name: " + name + ", known namespaces: " + util.inspect(namespaces, false, null));
+        throw new errors.ValidationError('UNKNOWN_PREFIX', "Unknown namespace prefix " + parts[0] + " in name " + name, {actual: name});
       }
       return '{' + namespaces[parts[0]] + '}' + parts[1];
     }
-    else if (defaultNamespace) {
-      return '{' + defaultNamespace + '}' + name;
-    }
     else {
-      throw new xml2js.ValidationError("Unqualified name and no default namespace: " + name);
+      // Without a default namespace the name is not in any namespace, we use {} for it
+      return '{' + (defaultNamespace || '') + '}' + name;
     }
   },
 
@@ -294,7 +1080,7 @@ var ValidatorMixin = {
       return self.namespacedName(namespaces, defaultNamespace, name);
     }
     else {
-      return name.replace(/^\{.+\}/, '').replace(/^[^:]+:/, '');
+      return name.replace(/^\{.*\}/, '').replace(/^[^:]+:/, '');
     }
   },
 
@@ -313,7 +1099,31 @@ var ValidatorMixin = {
     return path;
   },
 
-  normalizeNamespaces: function (namespaces, defaultNamespace, value, namespaced) {
+  // Key for an element or an attribute in the result, depending on the keyStyle option. Name is as in the
+  // document and is resolved using namespaces in scope of the element. Names without a prefix are in the
+  // default namespace for elements, and not in any namespace for attributes.
+  outputName: function (namespaces, name, isAttribute) {
+    var self = this;
+
+    if (self.options.keyStyle === 'local') {
+      return self.namespacedOrNotName(namespaces, null, name, false);
+    }
+
+    var parts = /^\{(.*)\}(.+)$/.exec(self.namespacedName(namespaces, isAttribute ? '' : namespaces[''] || '', name));
+    if (!parts[1]) {
+      // Not in any namespace
+      return parts[2];
+    }
+    else if (self.options.keyStyle === 'prefix' && _.has(self.options.keyPrefixes, parts[1])) {
+      return self.options.keyPrefixes[parts[1]] ? self.options.keyPrefixes[parts[1]] + ':' + parts[2] : parts[2];
+    }
+    // Clark notation, also for namespaces without a prefix
+    return parts[0];
+  },
+
+  // Renames keys of children to output names. Optional childKeys is a dict of child keys and their
+  // output names, see validateElement.
+  normalizeNamespaces: function (namespaces, value, childKeys) {
     var self = this;
 
     _.each(value, function (val, key) {
@@ -322,11 +1132,167 @@ var ValidatorMixin = {
         return;
       }
       delete value[key];
-      value[self.namespacedOrNotName(namespaces, defaultNamespace, key, namespaced)] = val;
+      value[childKeys && _.has(childKeys, key) ? childKeys[key] : self.outputName(namespaces, key)] = val;
     });
   }
 };
 
+function unexpectedElement(xpath, name, allowedElements) {
+  return new errors.ValidationError('UNEXPECTED_ELEMENT', "Unexpected element " + name, {
+    xpath: xpath,
+    element: name,
+    expected: _.keys(allowedElements)
+  });
+}
+
+// An element which can occur only once occurs multiple times
+function tooManyOccurrences(xpath, name, count) {
+  return new errors.ValidationError('TOO_MANY_OCCURRENCES', "Element " + name + " can occur only once, not " + count + " times", {
+    xpath: xpath,
+    element: name,
+    expected: 1,
+    actual: count
+  });
+}
+
+// Namespace information of an element kept with the preserveNamespaces option: its namespace, local name
+// and prefix, namespace declarations in scope (without predefined xml and xmlns prefixes), values of
+// attributes in XML Schema instance namespace by local name, and namespace information of other prefixed
+// attributes by their output names, if any
+function namespaceInfo(parser, nodeName, node) {
+  var namespaces = parser.nodeNamespaces(node);
+
+  var declarations = {};
+  // Namespaces in scope are inherited through the prototype chain
+  for (var declaredPrefix in namespaces) {
+    if (declaredPrefix !== 'xml' && declaredPrefix !== 'xmlns') {
+      declarations[declaredPrefix] = namespaces[declaredPrefix];
+    }
+  }
+
+  var prefix = /:/.test(nodeName) ? nodeName.split(':')[0] : '';
+  var info = {
+    uri: (prefix ? namespaces[prefix] : namespaces['']) || '',
+    local: node[parser.xmlnskey].local,
+    prefix: prefix,
+    ns: declarations
+  };
+
+  var xsi = {};
+  var attributes = {};
+  _.each(node[parser.attrkey] || {}, function (value, attribute) {
+    if (parser.isXsiAttribute(namespaces, attribute, value)) {
+      xsi[attribute.replace(/^[^:]+:/, '')] = _.isObject(value) ? value.value : value;
+    }
+    else if (attribute.slice(0, 5) !== 'xmlns' && /:/.test(attribute)) {
+      var attributePrefix = attribute.split(':')[0];
+      attributes[parser.outputName(namespaces, attribute, true)] = {
+        uri: namespaces[attributePrefix] || '',
+        local: attribute.split(':')[1],
+        prefix: attributePrefix
+      };
+    }
+  });
+  if (!_.isEmpty(xsi)) {
+    info.xsi = xsi;
+  }
+  if (!_.isEmpty(attributes)) {
+    info.attributes = attributes;
+  }
+
+  return info;
+}
+
+// Sets namespace information under the namespace key, values which are not objects are moved under the character key
+function withNamespaceInfo(parser, value, info) {
+  if (!objects.isPlainObject(value)) {
+    var v = value;
+    value = {};
+    value[parser.charkey] = v;
+  }
+  value[parser.xmlnskey] = info;
+  return value;
+}
+
+// Value of an element which could not be validated, with attribute and namespace information
+// as returned by xml2js replaced with attribute values (and namespace information, if preserved)
+function unvalidatedValue(parser, value, info) {
+  if (!_.isObject(value)) {
+    return info ? withNamespaceInfo(parser, value, info) : value;
+  }
+
+  delete value[parser.xmlnskey];
+  _.each(value[parser.attrkey] || {}, function (attributeValue, attribute) {
+    if (attribute.slice(0, 5) === 'xmlns') {
+      delete value[parser.attrkey][attribute];
+    }
+    else if (_.isObject(attributeValue)) {
+      value[parser.attrkey][attribute] = attributeValue.value;
+    }
+  });
+  if (_.isEmpty(value[parser.attrkey])) {
+    delete value[parser.attrkey];
+  }
+  if (info) {
+    return withNamespaceInfo(parser, value, info);
+  }
+  else if (_.isEqual(_.keys(value), [parser.charkey])) {
+    return value[parser.charkey];
+  }
+  return value;
+}
+
+// Default or fixed value of an element or an attribute declaration as {value, fixed}, or null
+function valueConstraint(declaration) {
+  if (_.has(declaration, 'fixed')) {
+    return {value: declaration.fixed, fixed: true};
+  }
+  else if (_.has(declaration, 'default')) {
+    return {value: declaration['default'], fixed: false};
+  }
+  return null;
+}
+
+// Adds a converted element to the content of its parent when ordering mixed content, see Parser.reset
+function recordContent(parser, nodeName, value) {
+  if (parser.options.orderMixedContent && parser.contents.length > 1) {
+    parser.contents[parser.contents.length - 2].push({name: nodeName, value: value});
+  }
+  return value;
+}
+
+// Ordered list of text segments and child elements (objects with their key and value) of an element
+function orderedContent(parser, contents, childKeys) {
+  var ordered = [];
+  _.each(contents, function (segment) {
+    if (!_.isString(segment)) {
+      ordered.push(_.object([[(childKeys && childKeys[segment.name]) || segment.name, segment.value]]));
+    }
+    else if (_.isString(_.last(ordered))) {
+      // Text and CDATA sections next to each other are one segment
+      ordered[ordered.length - 1] += segment;
+    }
+    else {
+      ordered.push(segment);
+    }
+  });
+
+  // The same as xml2js does for text of elements, but for every segment
+  ordered = _.map(ordered, function (segment) {
+    if (_.isString(segment) && parser.options.trim) {
+      segment = segment.trim();
+    }
+    if (_.isString(segment) && parser.options.normalize) {
+      segment = segment.replace(/\s{2,}/g, ' ').trim();
+    }
+    return segment;
+  });
+  return _.reject(ordered, function (segment) {
+    return segment === '';
+  });
+}
+
+// Validates and converts an element once it is closed, errors get the position of the element
 function validator(xpath, currentValue, newValue, stack) {
   var options = this;
   var parser = options.parser;
@@ -335,7 +1301,34 @@ function validator(xpath, currentValue, newValue, stack) {
   parser.charkey = options.charkey;
   parser.xmlnskey = options.xmlnskey;
 
+  var nodeName = _.last(xpath.split('/'));
+  var info = null;
+  var value;
+  try {
+    if (options.preserveNamespaces) {
+      info = namespaceInfo(parser, nodeName, newValue);
+    }
+    value = validateElement(options, xpath, newValue, stack, info);
+  }
+  catch (e) {
+    if (e instanceof errors.ValidationError || e instanceof errors.SchemaError) {
+      errors.addDetails(e, _.extend({xpath: xpath}, parser.currentPosition()));
+    }
+    // Elements with errors are left unconverted when collecting errors
+    parser.collectError(e);
+    value = unvalidatedValue(parser, newValue, info);
+  }
+  // The root element is in the result under its name as in the document, unless renamed, see keyStyle
+  parser.closeIdentityElement(value, stack.length ? null : (options.keyStyle !== 'local' && parser.rootKey) || nodeName);
+  return recordContent(parser, nodeName, value);
+}
+
+// Info is namespace information to keep with the element, or null
+function validateElement(options, xpath, newValue, stack, info) {
+  var parser = options.parser;
+
   var path = parser.createNamespacedPath(stack, xpath, newValue);
+  var nodeName = _.last(xpath.split('/'));
   // We override given xpath with namespaced xpath
   xpath = '/' + path.join('/');
 
@@ -344,105 +1337,252 @@ function validator(xpath, currentValue, newValue, stack) {
 
   var currentElementSet = parser.elements;
 
-  _.each(path.slice(0, path.length - 1), function (segment, i) {
-    if (!currentElementSet[segment]) {
-      throw new xml2js.ValidationError("Element (" + segment + ") does not match schema, xpath: " + xpath + ", allowed elements: " + util.inspect(currentElementSet, false, null));
-    }
-    else if (!parser.resolveElementTypeName(xpath, namespaces, defaultNamespace, stack[i][parser.attrkey], currentElementSet[segment])) {
-      throw new xml2js.ValidationError("Element (" + segment + ") does not match schema, type not specified, xpath: " + xpath + ", element: " + util.inspect(currentElementSet[segment], false, null));
-    }
-    else {
-      var type = parser.resolveType(xpath, parser.resolveElementTypeName(xpath, namespaces, defaultNamespace, stack[i][parser.attrkey], currentElementSet[segment]));
-      currentElementSet = parser.tryChildren(xpath, type);
+  try {
+    _.each(path.slice(0, path.length - 1), function (segment, i) {
+      if (!currentElementSet[segment]) {
+        throw unexpectedElement(xpath, segment, currentElementSet);
+      }
+      else if (!parser.resolveElementTypeName(xpath, namespaces, defaultNamespace, stack[i][parser.attrkey], currentElementSet[segment])) {
+        throw new errors.SchemaError('ELEMENT_TYPE_MISSING', "Element " + segment + " does not have a type", {xpath: xpath, element: segment});
+      }
+      else {
+        var type = parser.resolveType(xpath, parser.resolveElementTypeName(xpath, namespaces, defaultNamespace, stack[i][parser.attrkey], currentElementSet[segment]));
+        currentElementSet = parser.tryChildren(xpath, type);
+      }
+    });
+  }
+  catch (e) {
+    if (parser.keepsUnexpected() && e instanceof errors.ValidationError) {
+      // An error of an ancestor is reported when the ancestor is closed
+      return unvalidatedValue(parser, newValue, info);
     }
-  });
+    throw e;
+  }
 
   var lastSegment = path[path.length - 1];
 
+  // xml2js adds the element to its parent under its name as in the document, so we remember the
+  // namespaced name and the output name for the parent (or for the root key of the result), while
+  // namespaces declared on the element are known
+  var elementKey = null;
+  if (stack.length) {
+    var parentNamespaceInfo = stack[stack.length - 1][parser.xmlnskey];
+    parentNamespaceInfo.childNames = parentNamespaceInfo.childNames || {};
+    parentNamespaceInfo.childKeys = parentNamespaceInfo.childKeys || {};
+    parentNamespaceInfo.childNames[nodeName] = lastSegment;
+    elementKey = parentNamespaceInfo.childKeys[nodeName] = parser.outputName(namespaces, nodeName);
+  }
+  else {
+    parser.rootKey = parser.outputName(namespaces, nodeName);
+  }
+
   if (!currentElementSet[lastSegment]) {
-    throw new xml2js.ValidationError("Element (" + lastSegment + ") does not match schema, xpath: " + xpath + ", allowed elements: " + util.inspect(currentElementSet, false, null));
+    parser.reportUnexpected(unexpectedElement(xpath, lastSegment, currentElementSet));
+    return unvalidatedValue(parser, newValue, info);
+  }
+
+  if (parser.resolveElement(xpath, currentElementSet[lastSegment]).abstract) {
+    throw new errors.ValidationError('ABSTRACT_ELEMENT', "Abstract element " + lastSegment + " cannot be used directly, only members of its substitution group", {
+      xpath: xpath,
+      element: lastSegment,
+      expected: parser.substitutionMembers(lastSegment)
+    });
   }
 
   var lastSegmentTypeName = parser.resolveElementTypeName(xpath, namespaces, defaultNamespace, newValue[parser.attrkey], currentElementSet[lastSegment]);
 
+  // Before xsi attributes are removed
+  var nilled = parser.isNilled(xpath, namespaces, newValue[parser.attrkey]);
+
   var attributes = parser.resolveToAttributes(xpath, lastSegmentTypeName);
+  var presentAttributes = {};
   _.each(newValue[parser.attrkey] || {}, function (value, attribute) {
     var attributeName = parser.namespacedName(namespaces, defaultNamespace, attribute);
     if (attribute.slice(0, 5) === 'xmlns') {
       delete newValue[parser.attrkey][attribute];
     }
-    // TODO: xsi prefix should probably not be hard-coded
-    else if (attribute.slice(0, 4) === 'xsi:') {
+    else if (parser.isXsiAttribute(namespaces, attribute, value)) {
       delete newValue[parser.attrkey][attribute];
     }
     else if (!attributes[attributeName]) {
-      throw new xml2js.ValidationError("Unexpected attribute " + attributeName + ", xpath: " + xpath + ", allowed attributes: " + util.inspect(attributes, false, null))
+      parser.reportUnexpected(new errors.ValidationError('UNEXPECTED_ATTRIBUTE', "Unexpected attribute " + attributeName, {
+        xpath: xpath,
+        element: lastSegment,
+        attribute: attributeName,
+        expected: _.keys(attributes)
+      }));
+      // Unless an error is thrown, unexpected attributes are kept with their values, named as others
+      // (renamed only if needed, so that they stay in their place)
+      var unexpectedKey = parser.outputName(namespaces, attribute, true);
+      if (unexpectedKey !== attribute) {
+        delete newValue[parser.attrkey][attribute];
+      }
+      newValue[parser.attrkey][unexpectedKey] = _.isObject(value) ? value.value : value;
     }
     else {
-      var parse = parser.resolveToParse(xpath, parser.resolveAttributeType(xpath, attributes[attributeName]));
+      presentAttributes[attributeName] = true;
+      var attributeTypeName = parser.resolveAttributeType(xpath, attributes[attributeName]);
+      var parse = parser.resolveToParse(xpath, attributeTypeName);
+      var attributeKey = parser.outputName(namespaces, attribute, true);
+      var parsedValue;
       if (_.isString(value)) {
         delete newValue[parser.attrkey][attribute];
-        newValue[parser.attrkey][parser.namespacedOrNotName(namespaces, defaultNamespace, attribute, options.outputWithNamespace)] = parser.tryParse(parse, value);
+        parsedValue = newValue[parser.attrkey][attributeKey] = parser.parseValue(xpath + '/@' + attributeName, attributeTypeName, parse, value, namespaces);
       }
       else if (value.value) {
-        // TODO: What if user wants namespace information, we should not replace with only the value in that case
+        // Namespace information of attributes is kept by namespaceInfo with the preserveNamespaces option
         delete newValue[parser.attrkey][attribute];
-        newValue[parser.attrkey][parser.namespacedOrNotName(namespaces, defaultNamespace, attribute, options.outputWithNamespace)] = parser.tryParse(parse, value.value);
+        parsedValue = newValue[parser.attrkey][attributeKey] = parser.parseValue(xpath + '/@' + attributeName, attributeTypeName, parse, value.value, namespaces);
       }
       else {
-        throw new xml2js.ValidationError("Invalid attribute " + attributeName + " value, xpath: " + xpath + ": " + util.inspect(value, false, null))
+        parser.collectError(new errors.ValidationError('INVALID_ATTRIBUTE', "Invalid attribute " + attributeName + " value", {
+          xpath: xpath,
+          element: lastSegment,
+          attribute: attributeName
+        }));
+        delete newValue[parser.attrkey][attribute];
+      }
+
+      var constraint = parser.options.applyDefaults && parser.resolveAttributeValueConstraint(xpath, attributes[attributeName]);
+      if (constraint && constraint.fixed && !_.isUndefined(parsedValue)) {
+        parser.checkFixedValue(xpath + '/@' + attributeName, attributeTypeName, parse, parsedValue, constraint.value, namespaces, {
+          element: lastSegment,
+          attribute: attributeName
+        });
       }
+      parser.recordIdentityValue(xpath + '/@' + attributeName, attributeTypeName, parsedValue, attributeKey, true);
     }
   });
+  if (parser.options.applyDefaults) {
+    newValue = parser.applyAttributeDefaults(xpath, attributes, presentAttributes, newValue, namespaces);
+  }
   if (_.isEmpty(attributes)) {
-    // This should be caught already above
-    assert(_.isEmpty(newValue[parser.attrkey]), newValue[parser.attrkey]);
-    delete newValue[parser.attrkey];
+    // This should be caught already above, unless unexpected attributes are kept
+    assert(_.isEmpty(newValue[parser.attrkey]) || parser.keepsUnexpected(), newValue[parser.attrkey]);
+    if (_.isEmpty(newValue[parser.attrkey])) {
+      delete newValue[parser.attrkey];
+    }
   }
+  var hasAttributes = !_.isEmpty(attributes) || !_.isEmpty(newValue[parser.attrkey]);
+
+  var childNames = newValue[parser.xmlnskey] && newValue[parser.xmlnskey].childNames;
+  var childKeys = newValue[parser.xmlnskey] && newValue[parser.xmlnskey].childKeys;
 
-  // Delete namespace key
-  // TODO: What if user wants it? We should make this optional
+  // Delete namespace key, namespace information is set at the end if preserved
   delete newValue[parser.xmlnskey];
 
   var parse = parser.resolveToParse(xpath, lastSegmentTypeName);
-  if (parse.length !== 0) {
+
+  // Empty elements (without child elements and any text) with simple content get their default or fixed
+  // value, text of elements with only whitespace (which xml2js drops) is kept to be converted
+  var elementConstraint = parser.options.applyDefaults && parse.length !== 0 && !nilled && valueConstraint(parser.resolveElement(xpath, currentElementSet[lastSegment]));
+  var hasValue = objects.isPlainObject(newValue) ? _.has(newValue, parser.charkey) && newValue[parser.charkey] !== '' : newValue !== '';
+  if (elementConstraint && !hasValue) {
+    var text = parser.currentText();
+    var hasChildren = objects.isPlainObject(newValue) && !_.isEmpty(_.without(_.keys(newValue), parser.charkey, parser.attrkey));
+    var isEmpty = text.length === 0 && !hasChildren;
+    // Elements with child elements and no text are reported below
+    if (isEmpty || text.length !== 0) {
+      var elementValue = isEmpty ? elementConstraint.value : text;
+      if (objects.isPlainObject(newValue)) {
+        newValue[parser.charkey] = elementValue;
+      }
+      else {
+        newValue = elementValue;
+      }
+    }
+  }
+
+  if (nilled) {
+    newValue = parser.nilledValue(xpath, lastSegment, parser.resolveElement(xpath, currentElementSet[lastSegment]), newValue);
+  }
+  else if (parse.length !== 0) {
     // If it is string, we can try to parse it
     if (_.isString(newValue)) {
-      if (_.isEmpty(attributes)) {
-        newValue = parser.tryParse(parse, newValue);
+      if (!hasAttributes) {
+        newValue = parser.parseValue(xpath, lastSegmentTypeName, parse, newValue, namespaces);
       }
       else {
         var v = newValue;
         newValue = {};
-        newValue[parser.charkey] = parser.tryParse(parse, v);
+        newValue[parser.charkey] = parser.parseValue(xpath, lastSegmentTypeName, parse, v, namespaces);
       }
     }
     // Only attributes and character value keys should be here
+    else if (!_.isEmpty(_.without(_.keys(newValue), parser.charkey, parser.attrkey)) && !parser.options.strictSchema) {
+      // Children were already reported as unexpected elements, we keep them and convert the value
+      if (_.has(newValue, parser.charkey)) {
+        newValue[parser.charkey] = parser.parseValue(xpath, lastSegmentTypeName, parse, newValue[parser.charkey], namespaces);
+      }
+      parser.normalizeNamespaces(namespaces, newValue, childKeys);
+    }
     else if (!_.isEmpty(_.without(_.keys(newValue), parser.charkey, parser.attrkey))) {
-      throw new xml2js.ValidationError("Element (" + lastSegment + ") does not match schema, xpath: " + xpath + ", expected value, got : " + util.inspect(newValue, false, null));
+      // When collecting errors, children are left unconverted
+      parser.collectError(new errors.ValidationError('UNEXPECTED_CHILDREN', "Element " + lastSegment + " expects a value, not children", {
+        xpath: xpath,
+        element: lastSegment,
+        actual: _.without(_.keys(newValue), parser.charkey, parser.attrkey)
+      }));
     }
-    else if (_.isEmpty(attributes)) {
+    else if (!hasAttributes) {
       assert(_.isEmpty(_.without(_.keys(newValue), parser.charkey)), newValue);
-      newValue = parser.tryParse(parse, newValue[parser.charkey] || '');
+      newValue = parser.parseValue(xpath, lastSegmentTypeName, parse, newValue[parser.charkey] || '', namespaces);
     }
     else {
-      newValue[parser.charkey] = parser.tryParse(parse, newValue[parser.charkey] || '');
+      newValue[parser.charkey] = parser.parseValue(xpath, lastSegmentTypeName, parse, newValue[parser.charkey] || '', namespaces);
       _.each(newValue, function (child, name) {
         if (name === parser.attrkey || name === parser.charkey || name === parser.xmlnskey) {
           // Attribute, character content, and namespace keys are not part of the schema
           return;
         }
-        var childName = parser.namespacedName(namespaces, defaultNamespace, name);
-        if (!type[i].children[childName]) {
-          throw new xml2js.ValidationError("Element (" + childName + ") does not match schema, xpath: " + xpath + ", allowed elements: " + util.inspect(type[i].children, false, null));
-        }
+        // Elements with simple content cannot have children
+        throw new errors.ValidationError('UNEXPECTED_CHILDREN', "Element " + lastSegment + " expects a value, not children", {
+          xpath: xpath,
+          element: lastSegment,
+          actual: [parser.namespacedName(namespaces, defaultNamespace, name)]
+        });
       });
     }
+
+    if (elementConstraint && elementConstraint.fixed && hasValue) {
+      parser.checkFixedValue(xpath, lastSegmentTypeName, parse, objects.isPlainObject(newValue) ? newValue[parser.charkey] : newValue, elementConstraint.value, namespaces, {element: lastSegment});
+    }
+    parser.recordIdentityValue(xpath, lastSegmentTypeName, objects.isPlainObject(newValue) ? newValue[parser.charkey] : newValue, elementKey, false);
   }
   else {
     var type = parser.resolveType(xpath, lastSegmentTypeName);
-    newValue = parser.tryRemoveArrays(xpath, type, newValue);
-    parser.normalizeNamespaces(namespaces, defaultNamespace, newValue, options.outputWithNamespace);
+    try {
+      newValue = parser.tryRemoveArrays(xpath, type, newValue, childNames);
+    }
+    catch (e) {
+      // When collecting errors, children are left in arrays
+      parser.collectError(e);
+    }
+    parser.normalizeNamespaces(namespaces, newValue, childKeys);
+
+    if (parser.options.orderMixedContent && _.some(type, function (t) {
+      return t.mixed;
+    })) {
+      if (!objects.isPlainObject(newValue)) {
+        var text = newValue;
+        newValue = {};
+        if (text !== '') {
+          newValue[parser.charkey] = text;
+        }
+      }
+      newValue[parser.options.childkey] = orderedContent(parser, _.last(parser.contents), childKeys);
+    }
+  }
+
+  parser.checkIdentityConstraints(xpath, lastSegment, parser.resolveElement(xpath, currentElementSet[lastSegment]), newValue);
+
+  if (info) {
+    newValue = withNamespaceInfo(parser, newValue, info);
+  }
+
+  // When streaming, records are passed to the callback and removed from the document once added to it
+  if (parser.isRecordPath(path)) {
+    parser.queuedRecords.push([stack[stack.length - 1], nodeName, newValue]);
   }
 
   return newValue;
@@ -1,3 +1,7 @@
+var builder = require('./builder');
+var datatypes = require('./datatypes');
+var errors = require('./errors');
+var loaders = require('./loaders');
 var parser = require('./parser');
 var _ = require('underscore');
 
@@ -21,5 +25,28 @@ function parseString(str, a, b) {
   new parser.Parser(options).parseString(str, cb);
 }
 
+// Returns a promise resolved with the result (see Parser.prototype.parse)
+function parse(str, options) {
+  return new parser.Parser(options || {}).parse(str);
+}
+
 exports.parseString = parseString;
+exports.parse = parse;
 exports.Parser = parser.Parser;
+exports.Builder = builder.Builder;
+exports.ValidationError = errors.ValidationError;
+exports.SchemaError = errors.SchemaError;
+exports.SchemaNotFoundError = errors.SchemaNotFoundError;
+exports.ArgumentError = errors.ArgumentError;
+exports.loaders = {
+  httpLoader: loaders.httpLoader,
+  fileLoader: loaders.fileLoader,
+  memoryLoader: loaders.memoryLoader,
+  chainLoaders: loaders.chainLoaders
+};
+exports.types = {
+  Duration: datatypes.Duration,
+  Time: datatypes.Time,
+  GregorianValue: datatypes.GregorianValue,
+  QName: datatypes.QName
+};
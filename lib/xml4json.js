@@ -1,12 +1,12 @@
 #!/usr/bin/env node
 
-var async = require('async');
-var fs = require('fs');
 var util = require('util');
 var xml4js = require('../xml4js');
 var _ = require('underscore');
 
-function xml4json(options, schemas) {
+// If recordPath is given, input is streamed and every record at that path is output
+// as JSON on its own line, instead of outputting the whole document at the end
+function xml4json(options, schemas, recordPath) {
   if (!options) {
     options = {};
   }
@@ -16,22 +16,38 @@ function xml4json(options, schemas) {
 
   var parser = new xml4js.Parser(options);
 
-  async.each(_.keys(schemas), function (namespace, cb) {
-    var files = schemas[namespace];
-    if (!_.isArray(files)) {
-      files = [files];
-    }
-    async.each(files, function (file, cb) {
-      var content = fs.readFileSync(file, {encoding: 'utf-8'});
-      parser.addSchema(namespace, content, cb);
-    }, cb)
-  }, function (err) {
+  parser.addSchemas(schemas, function (err) {
     if (err) {
       console.error('' + err);
       process.exit(2);
       return;
     }
 
+    var fail = function (err) {
+      if (err.stack) {
+        console.error(err.stack);
+      }
+      else {
+        console.error('' + err);
+      }
+      process.exit(1);
+    };
+
+    if (recordPath) {
+      parser.parseStream(process.stdin, recordPath, function (record) {
+        console.log(JSON.stringify(record));
+      }, function (err, result) {
+        if (err) {
+          fail(err);
+        }
+        else {
+          process.exit(0);
+        }
+      });
+      process.stdin.resume();
+      return;
+    }
+
     process.stdin.resume();
     process.stdin.setEncoding('utf-8');
 
@@ -41,13 +57,7 @@ function xml4json(options, schemas) {
     }).on('end', function () {
       parser.parseString(input, function (err, result) {
         if (err) {
-          if (err.stack) {
-            console.error(err.stack);
-          }
-          else {
-            console.error('' + err);
-          }
-          process.exit(1);
+          fail(err);
         }
         else {
           console.log(JSON.stringify(result, null, 2));
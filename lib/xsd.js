@@ -1,18 +1,38 @@
+var async = require('async');
 var crypto = require('crypto');
 var moment = require('moment');
-var request = require('request');
-var util = require('util');
+var path = require('path');
+var url = require('url');
 var xml2js = require('xml2js');
 var _ = require('underscore');
 
 var assert = require('./assert');
+var catalog = require('./catalog');
+var datatypes = require('./datatypes');
+var errors = require('./errors');
+var identity = require('./identity');
+var loaders = require('./loaders');
 var multivalue = require('./multivalue');
+var promise = require('./promise');
+
+var XSI_NAMESPACE = 'http://www.w3.org/2001/XMLSchema-instance';
+
+// Hidden property of parsed schema elements with names of their child elements in document order
+var CHILDREN_ORDER = '#childrenOrder';
 
 var BASE_NAMESPACES = {
   'xml': 'http://www.w3.org/XML/1998/namespace'
 };
 
-// We convert XML Schema names to namespaced ones below
+// We convert XML Schema names to namespaced ones below. Types without a serialize
+// function are serialized by converting the value to a string. Types with a lexical
+// regular expression are checked against it (after whitespace collapsing) when matching
+// union members, other types accept any string.
+
+// Version of the format produced by exportSchemas, increased whenever compiled schemas change. Bundles
+// of other versions are rejected, because they could convert documents differently than schemas they
+// were exported from.
+var SCHEMA_BUNDLE_VERSION = 5;
 
 var BASE_TYPES = {};
 
@@ -25,28 +45,38 @@ BASE_TYPES.string = BASE_TYPES.normalizedString = BASE_TYPES.token = BASE_TYPES.
 BASE_TYPES.NMTOKENS = BASE_TYPES.IDREFS = BASE_TYPES.ENTITIES = {
   parse: function (value) {
     return value.split(/\s+/);
+  },
+  serialize: function (value) {
+    return value.join(' ');
   }
 };
 
 BASE_TYPES.boolean = {
+  lexical: /^(true|false|1|0)$/,
   parse: function (value) {
     return _.contains(['true', '1'], value.toLowerCase());
+  },
+  serialize: function (value) {
+    return value ? 'true' : 'false';
   }
 };
 
 BASE_TYPES.integer = BASE_TYPES.nonPositiveInteger = BASE_TYPES.negativeInteger = BASE_TYPES.long = BASE_TYPES.int = BASE_TYPES.short = BASE_TYPES.byte = BASE_TYPES.nonNegativeInteger = BASE_TYPES.unsignedLong = BASE_TYPES.unsignedInt = BASE_TYPES.unsignedShort = BASE_TYPES.unsignedByte = BASE_TYPES.positiveInteger = {
-  parse: function (value) {
-    return parseInt(value);
-  }
+  // Value ranges of derived integer types are not checked
+  lexical: /^[+\-]?\d+$/,
+  // Parsed according to the numberTypes parser option
+  family: 'integer',
+  parse: datatypes.numberParser('integer', 'number')
 };
 
 BASE_TYPES.decimal = {
-  parse: function (value) {
-    return parseFloat(value);
-  }
+  lexical: /^[+\-]?(\d+(\.\d*)?|\.\d+)$/,
+  family: 'decimal',
+  parse: datatypes.numberParser('decimal', 'number')
 };
 
 BASE_TYPES.double = BASE_TYPES.float = {
+  lexical: /^([+\-]?(\d+(\.\d*)?|\.\d+)([eE][+\-]?\d+)?|-?INF|NaN)$/,
   parse: function (value) {
     if (value.toLowerCase() === 'inf') {
       value = 'Infinity';
@@ -55,24 +85,53 @@ BASE_TYPES.double = BASE_TYPES.float = {
       value = '-Infinity';
     }
     return parseFloat(value);
+  },
+  serialize: function (value) {
+    if (value === Infinity) {
+      return 'INF';
+    }
+    else if (value === -Infinity) {
+      return '-INF';
+    }
+    return '' + value;
   }
 };
 
-BASE_TYPES.dateTime = BASE_TYPES.date = {
+BASE_TYPES.dateTime = {
+  lexical: /^-?\d{4,}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+\-]\d{2}:\d{2})?$/,
   parse: function (value) {
     return moment.utc(value).toDate();
+  },
+  serialize: function (value) {
+    return moment.utc(value).toISOString();
+  }
+};
+
+BASE_TYPES.date = {
+  lexical: /^-?\d{4,}-\d{2}-\d{2}(Z|[+\-]\d{2}:\d{2})?$/,
+  parse: BASE_TYPES.dateTime.parse,
+  serialize: function (value) {
+    return moment.utc(value).format('YYYY-MM-DD');
   }
 };
 
 BASE_TYPES.hexBinary = {
+  lexical: /^([0-9a-fA-F]{2})*$/,
   parse: function (value) {
     return new Buffer(value, 'hex');
+  },
+  serialize: function (value) {
+    return value.toString('hex').toUpperCase();
   }
 };
 
 BASE_TYPES.base64Binary = {
+  lexical: /^[A-Za-z0-9+\/=\s]*$/,
   parse: function (value) {
     return new Buffer(value, 'base64');
+  },
+  serialize: function (value) {
+    return value.toString('base64');
   }
 };
 
@@ -82,12 +141,37 @@ BASE_TYPES.anyURI = {
   }
 };
 
-// duration, time, gYearMonth, gYear, gMonthDay, gDay, gMonth, QName, NOTATION not implemented, for now leave them as a string
-// TODO: What would be the best JavaScript object to convert them to?
-BASE_TYPES.duration = BASE_TYPES.time = BASE_TYPES.gYearMonth = BASE_TYPES.gYear = BASE_TYPES.gMonthDay = BASE_TYPES.gDay = BASE_TYPES.gMonth = BASE_TYPES.QName = BASE_TYPES.NOTATION = {
-  parse: function (value) {
-    return value;
-  }
+// Types converted to objects from datatypes module, which are left as strings when the
+// convertExtendedTypes parser option is disabled. They are serialized using toString.
+var serializeExtended = function (value) {
+  return '' + value;
+};
+
+BASE_TYPES.duration = {
+  extended: true,
+  parse: datatypes.Duration.parse,
+  serialize: serializeExtended
+};
+
+BASE_TYPES.time = {
+  extended: true,
+  parse: datatypes.Time.parse,
+  serialize: serializeExtended
+};
+
+_.each(_.keys(datatypes.GREGORIAN_TYPES), function (typeName) {
+  BASE_TYPES[typeName] = {
+    extended: true,
+    parse: datatypes.GregorianValue.parser(typeName),
+    serialize: serializeExtended
+  };
+});
+
+// QName values are resolved using in-scope namespaces of the node, passed as a second argument
+BASE_TYPES.QName = BASE_TYPES.NOTATION = {
+  extended: true,
+  parse: datatypes.QName.parse,
+  serialize: serializeExtended
 };
 
 // We convert XML Schema names to namespaced ones
@@ -100,17 +184,50 @@ for (var baseTypeName in BASE_TYPES) {
   delete BASE_TYPES[baseTypeName];
 }
 
+// Constraining facets we record for simple types, enumeration and pattern can be repeated
+var FACETS = ['enumeration', 'pattern', 'length', 'minLength', 'maxLength', 'minInclusive', 'maxInclusive', 'minExclusive', 'maxExclusive', 'totalDigits', 'fractionDigits', 'whiteSpace'];
+
+// Used as a validator when parsing schemas, because xml2js groups child elements by their names and we
+// need the order of particles in content models
+function recordChildrenOrder(xpath, currentValue, newValue, stack) {
+  var parent = _.last(stack);
+  if (!parent) {
+    return newValue;
+  }
+  if (!_.has(parent, CHILDREN_ORDER)) {
+    Object.defineProperty(parent, CHILDREN_ORDER, {value: []});
+  }
+  parent[CHILDREN_ORDER].push(_.last(xpath.split('/')));
+  return newValue;
+}
+
 function randomString() {
   return crypto.pseudoRandomBytes(10).toString('hex');
 }
 
-function XsdSchema(parser, targetNamespace, defaultNamespace, namespaces, xsPrefix) {
+// Resolves a (possibly relative) schema location against the location of the schema referencing it
+function resolveLocation(baseLocation, location) {
+  if (!baseLocation || !location || loaders.isUrl(location)) {
+    return location;
+  }
+  else if (loaders.isUrl(baseLocation)) {
+    return url.resolve(baseLocation, location);
+  }
+  else {
+    return path.resolve(path.dirname(baseLocation), location);
+  }
+}
+
+function XsdSchema(parser, targetNamespace, defaultNamespace, namespaces, xsPrefix, elementFormDefault, baseLocation) {
   var self = this;
   self.parser = parser;
   self.targetNamespace = targetNamespace;
   self.defaultNamespace = defaultNamespace;
   self.namespaces = _.extend({}, namespaces, BASE_NAMESPACES);
   self.xsPrefix = xsPrefix;
+  self.elementFormDefault = elementFormDefault || 'unqualified';
+  // URL or file path of the schema, if known, against which relative locations are resolved
+  self.baseLocation = baseLocation || null;
 }
 
 // Similar to ValidatorMixin.namespacedName, just using self
@@ -118,7 +235,7 @@ XsdSchema.prototype.namespacedName = function (name) {
   var self = this;
 
   assert(name);
-  if (/^\{.+\}/.test(name)) {
+  if (/^\{.*\}/.test(name)) {
     return name;
   }
 
@@ -128,11 +245,9 @@ XsdSchema.prototype.namespacedName = function (name) {
     assert(self.namespaces[parts[0]], name);
     return '{' + self.namespaces[parts[0]] + '}' + parts[1];
   }
-  else if (self.defaultNamespace) {
-    return '{' + self.defaultNamespace + '}' + name;
-  }
   else {
-    assert(false, name);
+    // Without a default namespace the name is not in any namespace, we use {} for it
+    return '{' + (self.defaultNamespace || '') + '}' + name;
   }
 };
 
@@ -140,7 +255,7 @@ XsdSchema.prototype.namespacedTargetName = function (name) {
   var self = this;
 
   assert(name);
-  var match = /^\{(.+)\}/.exec(name);
+  var match = /^\{(.*)\}/.exec(name);
   if (match) {
     assert(match[1] === self.targetNamespace, name);
     return name;
@@ -174,17 +289,21 @@ XsdSchema.prototype.parseIsArray = function (input, isArrayDefault) {
 XsdSchema.prototype.parseTypesChoice = function (input, isArrayDefault) {
   var self = this;
 
-  var children = {};
+  var type = {};
   if (input[self.xsPrefix + 'choice']) {
     assert(input[self.xsPrefix + 'choice'].length === 1, input[self.xsPrefix + 'choice']);
     var choice = input[self.xsPrefix + 'choice'][0];
     isArrayDefault = self.parseIsArray(choice, isArrayDefault);
     delete choice.$;
-    _.extend(children, self.parseElements(choice, isArrayDefault));
+    type.children = self.parseElements(choice, isArrayDefault);
+    var groups = self.parseGroupReferences(choice, isArrayDefault);
+    if (groups.length) {
+      type.groups = groups;
+    }
     assert(_.isEmpty(choice), choice);
   }
   delete input[self.xsPrefix + 'choice'];
-  return children;
+  return type;
 };
 
 XsdSchema.prototype.parseTypesSequence = function (input) {
@@ -195,10 +314,14 @@ XsdSchema.prototype.parseTypesSequence = function (input) {
     assert(input[self.xsPrefix + 'sequence'].length === 1, input[self.xsPrefix + 'sequence']);
     var sequence = input[self.xsPrefix + 'sequence'][0];
     var children = {};
+    var groups = [];
     var isArrayDefault = self.parseIsArray(sequence);
     delete sequence.$;
     _.extend(children, self.parseElements(sequence, isArrayDefault));
-    _.extend(children, self.parseTypesChoice(sequence, isArrayDefault));
+    var choice = self.parseTypesChoice(sequence, isArrayDefault);
+    _.extend(children, choice.children);
+    groups = groups.concat(choice.groups || []);
+    groups = groups.concat(self.parseGroupReferences(sequence, isArrayDefault));
     if (sequence[self.xsPrefix + 'any']) {
       assert(sequence[self.xsPrefix + 'any'].length === 1, sequence[self.xsPrefix + 'any']);
       type.anyChildren = true;
@@ -210,11 +333,87 @@ XsdSchema.prototype.parseTypesSequence = function (input) {
     delete sequence[self.xsPrefix + 'any'];
     assert(_.isEmpty(sequence), sequence);
     type.children = children;
+    if (groups.length) {
+      type.groups = groups;
+    }
   }
   delete input[self.xsPrefix + 'sequence'];
   return type;
 };
 
+// Returns names of elements and references to groups in the order they are declared in the
+// content model, so that they can be built in that order
+XsdSchema.prototype.parseParticleOrder = function (input) {
+  var self = this;
+
+  var order = [];
+  var counts = {};
+  _.each((input && input[CHILDREN_ORDER]) || [], function (tagName) {
+    var particle = input[tagName] && input[tagName][counts[tagName] || 0];
+    counts[tagName] = (counts[tagName] || 0) + 1;
+    if (!particle) {
+      return;
+    }
+    else if (tagName === self.xsPrefix + 'element') {
+      order.push(particle.$.ref ? self.namespacedName(particle.$.ref) : self.namespacedTargetName(particle.$.name));
+    }
+    else if (tagName === self.xsPrefix + 'group') {
+      order.push({ref: self.namespacedName(particle.$.ref)});
+    }
+    else if (tagName === self.xsPrefix + 'sequence' || tagName === self.xsPrefix + 'choice') {
+      order = order.concat(self.parseParticleOrder(particle));
+    }
+  });
+  return order;
+};
+
+// Parses content model of a complex type or a model group definition
+XsdSchema.prototype.parseTypesContent = function (input) {
+  var self = this;
+
+  // Has to be done before parsing removes particles from the input
+  var order = self.parseParticleOrder(input);
+  var type = self.parseTypesSequence(input);
+  if (input[self.xsPrefix + 'choice']) {
+    var choice = self.parseTypesChoice(input);
+    type.children = _.extend({}, type.children, choice.children);
+    if (choice.groups) {
+      type.groups = (type.groups || []).concat(choice.groups);
+    }
+  }
+  var groups = self.parseGroupReferences(input, null);
+  if (groups.length) {
+    type.groups = (type.groups || []).concat(groups);
+  }
+  if (type.children || type.groups) {
+    type.order = order;
+  }
+  return type;
+};
+
+XsdSchema.prototype.parseFacets = function (restriction) {
+  var self = this;
+
+  var facets = {};
+  _.each(FACETS, function (facet) {
+    _.each(restriction[self.xsPrefix + facet] || [], function (facetElement) {
+      assert(facetElement.$ && _.has(facetElement.$, 'value'), facetElement);
+      var value = facetElement.$.value;
+      if (facet === 'enumeration' || facet === 'pattern') {
+        facets[facet] = (facets[facet] || []).concat([value]);
+      }
+      else if (_.contains(['length', 'minLength', 'maxLength', 'totalDigits', 'fractionDigits'], facet)) {
+        facets[facet] = parseInt(value);
+      }
+      else {
+        facets[facet] = value;
+      }
+    });
+    delete restriction[self.xsPrefix + facet];
+  });
+  return facets;
+};
+
 XsdSchema.prototype.parseSimpleType = function (input) {
   var self = this;
 
@@ -228,22 +427,62 @@ XsdSchema.prototype.parseSimpleType = function (input) {
         type.base = self.namespacedName(restriction.$.base);
       }
       delete restriction.$;
-      // We ignore the rest of the restriction because we do not care about restrictions on values, only elements and attributes
+      var facets = self.parseFacets(restriction);
+      if (!_.isEmpty(facets)) {
+        type.facets = facets;
+      }
+      // We ignore the rest of the restriction
     }
     delete simpleType[self.xsPrefix + 'restriction'];
     if (simpleType[self.xsPrefix + 'union']) {
       assert(simpleType[self.xsPrefix + 'union'].length === 1, simpleType[self.xsPrefix + 'union']);
       var union = simpleType[self.xsPrefix + 'union'][0];
-      type.base = _.map(union.$.memberTypes.split(/\s+/), function (base) {
-        return self.namespacedName(base);
-      });
-      delete union.$.memberTypes;
+      type.base = [];
+      if (union.$ && union.$.memberTypes) {
+        type.base = _.map(union.$.memberTypes.trim().split(/\s+/), function (base) {
+          return self.namespacedName(base);
+        });
+        delete union.$.memberTypes;
+      }
       assert(_.isEmpty(union.$), union.$);
       delete union.$;
+      // We ignore annotations
+      delete union[self.xsPrefix + 'annotation'];
+      // Member types nested inside the union follow those listed in memberTypes, so we create our own names for them
+      _.each(union[self.xsPrefix + 'simpleType'] || [], function (memberType) {
+        if (!memberType.$) memberType.$ = {};
+        memberType.$.name = simpleType.$.name + '-member-' + randomString();
+      });
+      var memberTypes = self.parseSimpleType(union);
+      _.extend(self.parser.types, memberTypes);
+      type.base = type.base.concat(_.keys(memberTypes));
+      assert(type.base.length, simpleType);
       assert(_.isEmpty(union), union);
     }
     delete simpleType[self.xsPrefix + 'union'];
-    // TODO: Support other simple types
+    if (simpleType[self.xsPrefix + 'list']) {
+      assert(simpleType[self.xsPrefix + 'list'].length === 1, simpleType[self.xsPrefix + 'list']);
+      var list = simpleType[self.xsPrefix + 'list'][0];
+      if (list.$ && list.$.itemType) {
+        type.list = self.namespacedName(list.$.itemType);
+        delete list.$.itemType;
+      }
+      assert(_.isEmpty(list.$), list.$);
+      delete list.$;
+      // We ignore annotations
+      delete list[self.xsPrefix + 'annotation'];
+      // Item type nested inside the list, so we create our own name for it
+      _.each(list[self.xsPrefix + 'simpleType'] || [], function (itemType) {
+        if (!itemType.$) itemType.$ = {};
+        itemType.$.name = simpleType.$.name + '-item-' + randomString();
+      });
+      var itemTypes = self.parseSimpleType(list);
+      _.extend(self.parser.types, itemTypes);
+      assert(_.size(itemTypes) + (type.list ? 1 : 0) === 1, simpleType);
+      type.list = type.list || _.keys(itemTypes)[0];
+      assert(_.isEmpty(list), list);
+    }
+    delete simpleType[self.xsPrefix + 'list'];
     assert(simpleType.$.name, simpleType.$);
     var typeName = self.namespacedTargetName(simpleType.$.name);
     delete simpleType.$.name;
@@ -260,10 +499,7 @@ XsdSchema.prototype.parseTypes = function (input) {
   var newTypes = {};
   _.each(input[self.xsPrefix + 'complexType'] || [], function (complexType) {
     var type = {};
-    _.extend(type, self.parseTypesSequence(complexType));
-    if (complexType[self.xsPrefix + 'choice']) {
-      type.children = self.parseTypesChoice(complexType);
-    }
+    _.extend(type, self.parseTypesContent(complexType));
     assert(!(complexType[self.xsPrefix + 'simpleContent'] && complexType[self.xsPrefix + 'complexContent']), complexType);
     _.each(['simpleContent', 'complexContent'], function (anyContent) {
       if (complexType[self.xsPrefix + anyContent]) {
@@ -282,12 +518,19 @@ XsdSchema.prototype.parseTypes = function (input) {
             delete derivation.$.base;
             assert(_.isEmpty(derivation.$), derivation.$);
             delete derivation.$;
+            if (anyContent === 'simpleContent' && anyDerivation === 'restriction') {
+              var facets = self.parseFacets(derivation);
+              if (!_.isEmpty(facets)) {
+                type.facets = facets;
+              }
+            }
             if (derivation[self.xsPrefix + 'attribute']) {
               type.attributes = self.parseAttributes(derivation);
             }
-            if (derivation.sequence) {
-              _.extend(type, self.parseTypesSequence(derivation));
+            if (derivation[self.xsPrefix + 'attributeGroup']) {
+              type.attributeGroups = self.parseAttributeGroupReferences(derivation);
             }
+            _.extend(type, self.parseTypesContent(derivation));
             assert(_.isEmpty(derivation), derivation);
             delete content[self.xsPrefix + anyDerivation];
           }
@@ -299,6 +542,9 @@ XsdSchema.prototype.parseTypes = function (input) {
     if (complexType[self.xsPrefix + 'attribute']) {
       type.attributes = self.parseAttributes(complexType);
     }
+    if (complexType[self.xsPrefix + 'attributeGroup']) {
+      type.attributeGroups = self.parseAttributeGroupReferences(complexType);
+    }
 
     assert(complexType.$.name, complexType.$);
     var typeName = self.namespacedTargetName(complexType.$.name);
@@ -326,29 +572,79 @@ XsdSchema.prototype.parseTypes = function (input) {
   return newTypes;
 };
 
-XsdSchema.prototype.parseElements = function (input, isArrayDefault) {
+// Copies default or fixed value (in the lexical form) of an element or attribute declaration
+function addValueConstraint(declaration, attributes) {
+  _.each(['default', 'fixed'], function (constraint) {
+    if (_.has(attributes, constraint)) {
+      declaration[constraint] = attributes[constraint];
+    }
+  });
+  return declaration;
+}
+
+// Parses xs:key, xs:keyref and xs:unique constraints of an element declaration into a list
+// of {kind, name, refer (of keyrefs), selector, fields} with parsed XPath expressions
+XsdSchema.prototype.parseIdentityConstraints = function (element) {
+  var self = this;
+
+  var constraints = [];
+  _.each(['key', 'keyref', 'unique'], function (kind) {
+    _.each(element[self.xsPrefix + kind] || [], function (constraint) {
+      assert(constraint.$ && constraint.$.name, constraint);
+      assert(constraint[self.xsPrefix + 'selector'] && constraint[self.xsPrefix + 'selector'].length === 1, constraint);
+      assert(constraint[self.xsPrefix + 'field'], constraint);
+      var newConstraint = {
+        kind: kind,
+        name: self.namespacedTargetName(constraint.$.name),
+        selector: identity.parseXPath(constraint[self.xsPrefix + 'selector'][0].$.xpath, self.namespaces, false),
+        fields: _.map(constraint[self.xsPrefix + 'field'], function (field) {
+          return identity.parseXPath(field.$.xpath, self.namespaces, true);
+        })
+      };
+      if (kind === 'keyref') {
+        assert(constraint.$.refer, constraint.$);
+        newConstraint.refer = self.namespacedName(constraint.$.refer);
+      }
+      constraints.push(newConstraint);
+    });
+    delete element[self.xsPrefix + kind];
+  });
+  return constraints;
+};
+
+XsdSchema.prototype.parseElements = function (input, isArrayDefault, isGlobal) {
   var self = this;
 
   var newElements = {};
   _.each(input[self.xsPrefix + 'element'] || [], function (element) {
     if (element.$.ref) {
       var elementReference = self.namespacedName(element.$.ref);
+      // Occurrence of the reference applies to members of a substitution group of the referenced element as well
+      var referenceIsArray = self.parseIsArray(element, isArrayDefault);
       newElements[elementReference] = {
         ref: elementReference
       };
-      if (_.isBoolean(isArrayDefault)) {
-        newElements[elementReference].isArrayDefault = isArrayDefault;
+      if (_.isBoolean(referenceIsArray)) {
+        newElements[elementReference].isArrayDefault = referenceIsArray;
       }
     }
     else {
       assert(element.$.name, element.$);
+      // Parsing a nested type removes attributes of the element
+      var declaration = element.$;
       var elementName = self.namespacedTargetName(element.$.name);
       var isArray = self.parseIsArray(element, isArrayDefault);
+      // Local elements are by default not in the target namespace
+      var unqualified = !isGlobal && (element.$.form || self.elementFormDefault) === 'unqualified';
       if (element.$.type) {
         newElements[elementName] = {
           type: self.namespacedName(element.$.type)
         };
       }
+      else if (element.$.substitutionGroup && !element[self.xsPrefix + 'complexType'] && !element[self.xsPrefix + 'simpleType']) {
+        // Members of substitution groups without a type have the type of their head, see resolveElement
+        newElements[elementName] = {};
+      }
       else {
         assert(element[self.xsPrefix + 'complexType'] || element[self.xsPrefix + 'simpleType'], element);
         assert(!(element[self.xsPrefix + 'complexType'] && element[self.xsPrefix + 'simpleType']), element);
@@ -377,6 +673,26 @@ XsdSchema.prototype.parseElements = function (input, isArrayDefault) {
       if (_.isBoolean(isArray)) {
         newElements[elementName].isArray = isArray;
       }
+      if (unqualified) {
+        newElements[elementName].unqualified = true;
+      }
+      if (declaration.nillable && BASE_TYPES['{http://www.w3.org/2001/XMLSchema}boolean'].parse(declaration.nillable)) {
+        // Can be nilled with xsi:nil attribute
+        newElements[elementName].nillable = true;
+      }
+      if (declaration.substitutionGroup) {
+        // Can be used wherever its head element can be used
+        newElements[elementName].substitutionGroup = self.namespacedName(declaration.substitutionGroup);
+      }
+      if (declaration.abstract && BASE_TYPES['{http://www.w3.org/2001/XMLSchema}boolean'].parse(declaration.abstract)) {
+        // Only members of its substitution group can be used
+        newElements[elementName].abstract = true;
+      }
+      addValueConstraint(newElements[elementName], declaration);
+      var identityConstraints = self.parseIdentityConstraints(element);
+      if (identityConstraints.length) {
+        newElements[elementName].identityConstraints = identityConstraints;
+      }
       delete element.$;
       // We ignore annotations
       delete element[self.xsPrefix + 'annotation'];
@@ -396,6 +712,8 @@ XsdSchema.prototype.parseAttributes = function (input) {
       newAttributes[attributeReference] = {
         ref: attributeReference
       };
+      // A reference can have its own default or fixed value
+      addValueConstraint(newAttributes[attributeReference], attribute.$);
     }
     else {
       assert(attribute.$.name, attribute.$);
@@ -422,6 +740,10 @@ XsdSchema.prototype.parseAttributes = function (input) {
         // Only simple types are allowed for attributes
         assert(false, attribute);
       }
+      if (_.has(attribute.$, 'default') || _.has(attribute.$, 'fixed')) {
+        // Attributes with a value constraint are objects with the type, others are just type names
+        newAttributes[attributeName] = addValueConstraint({type: newAttributes[attributeName]}, attribute.$);
+      }
       delete attribute.$;
       // We ignore annotations
       delete attribute[self.xsPrefix + 'annotation'];
@@ -431,16 +753,102 @@ XsdSchema.prototype.parseAttributes = function (input) {
   return newAttributes;
 };
 
+XsdSchema.prototype.parseGroupReferences = function (input, isArrayDefault) {
+  var self = this;
+
+  var groups = [];
+  _.each(input[self.xsPrefix + 'group'] || [], function (group) {
+    assert(group.$ && group.$.ref, group);
+    var reference = {
+      ref: self.namespacedName(group.$.ref)
+    };
+    var isArray = self.parseIsArray(group, isArrayDefault);
+    if (_.isBoolean(isArray)) {
+      reference.isArrayDefault = isArray;
+    }
+    delete group.$.ref;
+    assert(_.isEmpty(group.$), group.$);
+    delete group.$;
+    // We ignore annotations
+    delete group[self.xsPrefix + 'annotation'];
+    assert(_.isEmpty(group), group);
+    groups.push(reference);
+  });
+  delete input[self.xsPrefix + 'group'];
+  return groups;
+};
+
+XsdSchema.prototype.parseGroups = function (input) {
+  var self = this;
+
+  var newGroups = {};
+  _.each(input[self.xsPrefix + 'group'] || [], function (group) {
+    assert(group.$.name, group.$);
+    var groupName = self.namespacedTargetName(group.$.name);
+    delete group.$.name;
+    assert(_.isEmpty(group.$), group.$);
+    delete group.$;
+    // We ignore annotations
+    delete group[self.xsPrefix + 'annotation'];
+    newGroups[groupName] = self.parseTypesContent(group);
+    assert(_.isEmpty(group), group);
+  });
+  delete input[self.xsPrefix + 'group'];
+  return newGroups;
+};
+
+XsdSchema.prototype.parseAttributeGroupReferences = function (input) {
+  var self = this;
+
+  var attributeGroups = [];
+  _.each(input[self.xsPrefix + 'attributeGroup'] || [], function (attributeGroup) {
+    assert(attributeGroup.$ && attributeGroup.$.ref, attributeGroup);
+    attributeGroups.push({
+      ref: self.namespacedName(attributeGroup.$.ref)
+    });
+  });
+  delete input[self.xsPrefix + 'attributeGroup'];
+  return attributeGroups;
+};
+
+XsdSchema.prototype.parseAttributeGroups = function (input) {
+  var self = this;
+
+  var newAttributeGroups = {};
+  _.each(input[self.xsPrefix + 'attributeGroup'] || [], function (attributeGroup) {
+    assert(attributeGroup.$.name, attributeGroup.$);
+    var attributeGroupName = self.namespacedTargetName(attributeGroup.$.name);
+    delete attributeGroup.$.name;
+    assert(_.isEmpty(attributeGroup.$), attributeGroup.$);
+    delete attributeGroup.$;
+    var newAttributeGroup = {};
+    if (attributeGroup[self.xsPrefix + 'attribute']) {
+      newAttributeGroup.attributes = self.parseAttributes(attributeGroup);
+    }
+    if (attributeGroup[self.xsPrefix + 'attributeGroup']) {
+      newAttributeGroup.attributeGroups = self.parseAttributeGroupReferences(attributeGroup);
+    }
+    // Attribute wildcards are not supported, other attributes are unexpected as with complex types
+    delete attributeGroup[self.xsPrefix + 'anyAttribute'];
+    // We ignore annotations
+    delete attributeGroup[self.xsPrefix + 'annotation'];
+    assert(_.isEmpty(attributeGroup), attributeGroup);
+    newAttributeGroups[attributeGroupName] = newAttributeGroup;
+  });
+  delete input[self.xsPrefix + 'attributeGroup'];
+  return newAttributeGroups;
+};
+
 XsdSchema.prototype.parseImportsAndIncludes = function (currentNamespace, schema) {
   var self = this;
 
   var imports = {};
   _.each(schema[self.xsPrefix + 'import'] || [], function (schemaImport) {
-    multivalue.addValue(imports, schemaImport.$.namespace, schemaImport.$.schemaLocation);
+    multivalue.addValue(imports, schemaImport.$.namespace, resolveLocation(self.baseLocation, schemaImport.$.schemaLocation));
   });
   delete schema[self.xsPrefix + 'import'];
   _.each(schema[self.xsPrefix + 'include'] || [], function (schemaInclude) {
-    multivalue.addValue(imports, currentNamespace, schemaInclude.$.schemaLocation);
+    multivalue.addValue(imports, currentNamespace, resolveLocation(self.baseLocation, schemaInclude.$.schemaLocation));
   });
   delete schema[self.xsPrefix + 'include'];
   return imports;
@@ -484,7 +892,7 @@ function parseNamespacePrefixes(input, cb) {
       else if (attr.slice(0, 6) === 'xmlns:') {
         var prefix = attr.slice(6);
         if (!prefix) {
-          cb("Invalid namespace declaration: " + attr + ", for schema: " + util.inspect(schema, false, null));
+          cb(new errors.SchemaError('INVALID_NAMESPACE_DECLARATION', "Invalid namespace declaration: " + attr));
           return;
         }
 
@@ -502,123 +910,296 @@ function parseNamespacePrefixes(input, cb) {
   cb(null, defaultNamespace, namespaces, xsPrefix);
 }
 
-function traverseFindSchemas(obj) {
-  var foundSchemas = {};
-  _.each(obj, function (o, tag) {
-    if (tag !== '$') {
-      if (_.isObject(o)) {
-        _.extend(foundSchemas, traverseFindSchemas(o));
+// Returns namespaces extended with namespace declarations among attributes
+function declaredNamespaces(namespaces, attributes) {
+  var result = namespaces;
+  _.each(attributes, function (value, name) {
+    if (name.slice(0, 6) === 'xmlns:') {
+      if (result === namespaces) {
+        result = _.clone(namespaces);
       }
+      result[name.slice(6)] = value;
+    }
+  });
+  return result;
+}
+
+// Attributes are either strings (and prefixes are resolved using namespaces) or
+// objects with namespace information, as provided by xml2js and sax in xmlns mode
+function findSchemasInAttributes(foundSchemas, attributes, namespaces) {
+  _.each(attributes, function (value, name) {
+    var uri, local;
+    if (_.isObject(value)) {
+      uri = value.uri;
+      local = value.local;
+      value = value.value;
     }
     else {
-      // TODO: xsi prefix should probably not be hard-coded
-      if (o['xsi:schemaLocation']) {
-        var schemaLocation = o['xsi:schemaLocation'].split(/\s+/);
-        assert(schemaLocation.length === 2, schemaLocation);
-        multivalue.addValue(foundSchemas, schemaLocation[0], schemaLocation[1]);
+      var parts = name.split(':');
+      if (parts.length !== 2) {
+        return;
+      }
+      uri = namespaces[parts[0]];
+      local = parts[1];
+    }
+
+    if (uri !== XSI_NAMESPACE) {
+      return;
+    }
+
+    if (local === 'schemaLocation') {
+      var schemaLocation = value.trim().split(/\s+/);
+      if (!schemaLocation[0] || schemaLocation.length % 2 !== 0) {
+        throw new errors.ValidationError('INVALID_SCHEMA_HINT', "Invalid " + name + " attribute, expected pairs of a namespace and a schema location", {attribute: name, actual: value});
+      }
+      for (var i = 0; i < schemaLocation.length; i += 2) {
+        multivalue.addValue(foundSchemas, schemaLocation[i], schemaLocation[i + 1]);
+      }
+    }
+    else if (local === 'noNamespaceSchemaLocation') {
+      var noNamespaceSchemaLocation = value.trim();
+      if (!noNamespaceSchemaLocation || /\s/.test(noNamespaceSchemaLocation)) {
+        throw new errors.ValidationError('INVALID_SCHEMA_HINT', "Invalid " + name + " attribute, expected one schema location", {attribute: name, actual: value});
       }
+      // Schemas without a target namespace are stored under an empty namespace
+      multivalue.addValue(foundSchemas, '', noNamespaceSchemaLocation);
+    }
+  });
+}
+
+function traverseFindSchemas(obj, namespaces) {
+  var foundSchemas = {};
+  if (_.isObject(obj.$)) {
+    namespaces = declaredNamespaces(namespaces, obj.$);
+    findSchemasInAttributes(foundSchemas, obj.$, namespaces);
+  }
+  _.each(obj, function (o, tag) {
+    if (tag !== '$' && _.isObject(o)) {
+      _.each(traverseFindSchemas(o, namespaces), function (schemaUrls, namespaceUrl) {
+        _.each(schemaUrls, function (schemaUrl) {
+          multivalue.addValue(foundSchemas, namespaceUrl, schemaUrl);
+        });
+      });
     }
   });
   return foundSchemas;
 }
 
+// Records members of substitution groups of new global elements, heads can be in other schemas
+function addSubstitutionGroups(parser, elements) {
+  _.each(elements, function (element, name) {
+    if (element.substitutionGroup) {
+      multivalue.addValue(parser.substitutionGroups, element.substitutionGroup, name);
+    }
+  });
+}
+
+// Adds components of a parsed schema document to the parser and returns its imports and includes
+function parseSchema(parser, namespace, result, defaultNamespace, namespaces, xsPrefix, baseLocation) {
+  if (!result[xsPrefix + 'schema']) {
+    throw new errors.SchemaError('INVALID_SCHEMA', "Invalid schema for " + namespace + ", expected a schema root element", {namespace: namespace, location: baseLocation});
+  }
+
+  var schema = result[xsPrefix + 'schema'];
+
+  if (schema.$ && schema.$.targetNamespace && schema.$.targetNamespace !== namespace) {
+    throw new errors.SchemaError('TARGET_NAMESPACE_MISMATCH', "Schema does not have expected target namespace " + namespace + ", but " + schema.$.targetNamespace, {
+      namespace: namespace,
+      location: baseLocation,
+      expected: namespace,
+      actual: schema.$.targetNamespace
+    });
+  }
+
+  // A schema without a target namespace added for a namespace is a chameleon schema (it is included
+  // from a schema with that target namespace) and its components and unqualified references adopt
+  // the namespace. Otherwise it is added with an empty namespace.
+  if (namespace && !(schema.$ && schema.$.targetNamespace) && !defaultNamespace) {
+    defaultNamespace = namespace;
+  }
+
+  var schemaParser = new XsdSchema(parser, namespace, defaultNamespace, namespaces, xsPrefix, schema.$ && schema.$.elementFormDefault, baseLocation);
+
+  var importsAndIncludes = schemaParser.parseImportsAndIncludes(namespace, schema);
+
+  // Group definitions have to be parsed before anything else consumes group elements
+  var newGroups = schemaParser.parseGroups(schema);
+  _.extend(parser.groups, newGroups);
+
+  var newAttributeGroups = schemaParser.parseAttributeGroups(schema);
+  _.extend(parser.attributeGroups, newAttributeGroups);
+
+  var newElements = schemaParser.parseElements(schema, null, true);
+  // TODO: Check if we are overriding anything
+  _.extend(parser.elements, newElements);
+  addSubstitutionGroups(parser, newElements);
+
+  var newAttributes = schemaParser.parseAttributes(schema);
+  // TODO: Check if we are overriding anything
+  _.extend(parser.attributes, newAttributes);
+
+  var newTypes = schemaParser.parseTypes(schema);
+  // TODO: Check if we are overriding anything
+  _.extend(parser.types, newTypes);
+
+  // Previous parsing calls are destructive and should consume schema so that it is empty now
+  assert(_.isEmpty(schema), schema);
+
+  return importsAndIncludes;
+}
+
 var XsdMixin = {
-  // Returns imports (and includes) object in a callback. You have assure that
-  // all those schemas are added as well for all necessary types to be satisfied.
-  addSchema: function (namespace, schemaContent, cb) {
+  // Returns imports (and includes) object in a callback, or through a promise if callback is not
+  // given. You have assure that all those schemas are added as well for all necessary types to be
+  // satisfied, or use addSchemas which does that for you. Optional baseLocation is a URL or a file
+  // path of the schema, against which relative locations of imports and includes are resolved.
+  addSchema: function (namespace, schemaContent, baseLocation, cb) {
     var self = this;
 
-    if (multivalue.hasValue(self.parsedSchemas, namespace, schemaContent)) {
-      cb(null, {});
-      return;
+    if (_.isFunction(baseLocation)) {
+      cb = baseLocation;
+      baseLocation = null;
     }
 
-    xml2js.parseString(schemaContent, function (err, result) {
-      if (err) {
-        cb(err);
-        return;
-      }
+    // Schemas without a target namespace are added with an empty namespace
+    namespace = namespace || '';
 
-      // Only one root element expected
-      if (!result || _.size(result) !== 1) {
-        cb("Invalid schema for " + namespace + ": " + util.inspect(result, false, null));
+    return promise.callbackOrPromise(cb, function (cb) {
+      if (multivalue.hasValue(self.parsedSchemas, namespace, schemaContent)) {
+        cb(null, {});
         return;
       }
 
-      parseNamespacePrefixes(result, function (err, defaultNamespace, namespaces, xsPrefix) {
+      xml2js.parseString(schemaContent, {validator: recordChildrenOrder}, function (err, result) {
         if (err) {
-          cb(err);
+          cb(errors.wrap(errors.SchemaError, 'INVALID_SCHEMA', err, {namespace: namespace, location: baseLocation}));
           return;
         }
 
-        assert(result[xsPrefix + 'schema'], result);
-
-        var schema = result[xsPrefix + 'schema'];
-
-        if (schema.$ && schema.$.targetNamespace && schema.$.targetNamespace !== namespace) {
-          cb("Schema does not have expected target namespace " + namespace + ": " + util.inspect(result, false, null));
+        // Only one root element expected
+        if (!result || _.size(result) !== 1) {
+          cb(new errors.SchemaError('INVALID_SCHEMA', "Invalid schema for " + namespace + ", expected one root element", {namespace: namespace, location: baseLocation}));
           return;
         }
 
-        var schemaParser = new XsdSchema(self, namespace, defaultNamespace, namespaces, xsPrefix);
-
-        var importsAndIncludes = schemaParser.parseImportsAndIncludes(namespace, schema);
-
-        var newElements = schemaParser.parseElements(schema, null);
-        // TODO: Check if we are overriding anything
-        _.extend(self.elements, newElements);
-
-        var newAttributes = schemaParser.parseAttributes(schema);
-        // TODO: Check if we are overriding anything
-        _.extend(self.attributes, newAttributes);
-
-        var newTypes = schemaParser.parseTypes(schema);
-        // TODO: Check if we are overriding anything
-        _.extend(self.types, newTypes);
-
-        // TODO: Add support for element and attribute groups
-        delete schema[xsPrefix + 'group'];
-        delete schema[xsPrefix + 'attributeGroup'];
+        parseNamespacePrefixes(result, function (err, defaultNamespace, namespaces, xsPrefix) {
+          if (err) {
+            cb(errors.wrap(errors.SchemaError, 'INVALID_SCHEMA', err, {namespace: namespace, location: baseLocation}));
+            return;
+          }
 
-        // Previous parsing calls are destructive and should consume schema so that it is empty now
-        assert(_.isEmpty(schema), schema);
+          var importsAndIncludes;
+          try {
+            importsAndIncludes = parseSchema(self, namespace, result, defaultNamespace, namespaces, xsPrefix, baseLocation);
+          }
+          catch (e) {
+            // Schema parsing asserts on constructs it does not expect
+            if (!(e instanceof errors.SchemaError)) {
+              var error = new errors.SchemaError('INVALID_SCHEMA', "Invalid or unsupported schema construct: " + e.message, {namespace: namespace, location: baseLocation});
+              error.cause = e;
+              e = error;
+            }
+            cb(e);
+            return;
+          }
 
-        multivalue.addValue(self.parsedSchemas, namespace, schemaContent);
+          multivalue.addValue(self.parsedSchemas, namespace, schemaContent);
 
-        cb(null, importsAndIncludes);
+          cb(null, importsAndIncludes);
+        });
       });
     });
   },
 
-  // Returns imports (and includes) object in a callback. You have assure that
-  // all those schemas are added as well for all necessary types to be satisfied.
-  downloadAndAddSchema: function (namespace, schemaUrl, cb) {
+  // Loads catalogs from catalogs option, only the first time it is called
+  loadCatalogs: function (cb) {
     var self = this;
 
-    if (multivalue.hasValue(self.downloadedSchemas, namespace, schemaUrl)) {
-      cb(null, {});
+    if (self.catalogs) {
+      cb();
       return;
     }
 
-    request(schemaUrl, function (err, response, body) {
+    async.mapSeries(self.options.catalogs || [], catalog.loadCatalog, function (err, catalogs) {
       if (err) {
-        cb("Error downloading " + namespace + " schema (" + schemaUrl + "): " + err);
+        cb(err);
         return;
       }
-      else if (response.statusCode !== 200) {
-        cb("Error downloading " + namespace + " schema (" + schemaUrl + "): HTTP status code " + response.statusCode);
+
+      self.catalogs = catalogs;
+      cb();
+    });
+  },
+
+  // Is schema location a URL from which a schema can be downloaded
+  isRemoteSchema: function (schemaUrl) {
+    var self = this;
+
+    return !!schemaUrl && loaders.isUrl(schemaUrl) && !loaders.localPath(schemaUrl);
+  },
+
+  // Returns a local file for a schema, or null if no loaded catalog knows about it
+  resolveFromCatalogs: function (namespace, schemaUrl) {
+    var self = this;
+
+    var catalogs = self.catalogs || [];
+    for (var i = 0; i < catalogs.length; i++) {
+      var file = catalogs[i].resolve(namespace, schemaUrl);
+      if (file) {
+        return file;
+      }
+    }
+    return null;
+  },
+
+  // Loads a schema using the schemaLoader option (by default, schemas at local file paths are read
+  // from files and others are downloaded), or from a local file if it is found in catalogs. Optional
+  // base is the location of the schema referencing it and is passed on to the loader.
+  downloadAndAddSchema: function (namespace, schemaUrl, base, cb) {
+    var self = this;
+
+    if (_.isFunction(base)) {
+      cb = base;
+      base = null;
+    }
+
+    return promise.callbackOrPromise(cb, function (cb) {
+      if (multivalue.hasValue(self.downloadedSchemas, namespace, schemaUrl)) {
+        cb(null, {});
         return;
       }
 
-      self.addSchema(namespace, body, function (err, importsAndIncludes) {
+      self.loadCatalogs(function (err) {
         if (err) {
           cb(err);
           return;
         }
 
-        multivalue.addValue(self.downloadedSchemas, namespace, schemaUrl);
+        var file = self.resolveFromCatalogs(namespace, schemaUrl);
+        var location = file || schemaUrl;
+        var loader = file ? loaders.fileLoader() : self.schemaLoader;
+
+        loaders.callLoader(loader, namespace, location, base || null, function (err, content, finalLocation) {
+          if (err) {
+            cb(errors.wrap(errors.SchemaNotFoundError, 'SCHEMA_LOAD_FAILED', err, {namespace: namespace, location: schemaUrl}));
+            return;
+          }
+          else if (content === null || _.isUndefined(content)) {
+            cb(new errors.SchemaNotFoundError('SCHEMA_NOT_LOADED', "Schema " + namespace + " (" + schemaUrl + ") could not be loaded", {namespace: namespace, location: schemaUrl}));
+            return;
+          }
 
-        cb(null, importsAndIncludes);
+          self.addSchema(namespace, '' + content, finalLocation || location, function (err, importsAndIncludes) {
+            if (err) {
+              cb(err);
+              return;
+            }
+
+            multivalue.addValue(self.downloadedSchemas, namespace, schemaUrl);
+
+            cb(null, importsAndIncludes);
+          });
+        });
       });
     });
   },
@@ -637,17 +1218,91 @@ var XsdMixin = {
         return;
       }
 
-      var foundSchemas = traverseFindSchemas(result);
+      var foundSchemas;
+      try {
+        foundSchemas = traverseFindSchemas(result, BASE_NAMESPACES);
+      }
+      catch (err) {
+        cb(err);
+        return;
+      }
       cb(null, foundSchemas);
     });
   },
 
+  // Adds schemas referenced from attributes of one element to foundSchemas, used when the document
+  // is not available as a whole, e.g., when streaming. Attributes should contain namespace information
+  // (as provided in xmlns mode), otherwise namespaces in scope have to be given. Throws a ValidationError
+  // for invalid schema location hints.
+  findSchemasInAttributes: function (foundSchemas, attributes, namespaces) {
+    var self = this;
+
+    findSchemasInAttributes(foundSchemas, attributes, namespaces || {});
+  },
+
   knownSchemas: function () {
     var self = this;
 
     return _.clone(self.parsedSchemas);
+  },
+
+  // Returns a JSON-serializable snapshot of all added schemas which can be
+  // loaded into another parser with importSchemas or schemaBundle option.
+  exportSchemas: function () {
+    var self = this;
+
+    var types = {};
+    _.each(self.types, function (type, name) {
+      // Base types are not exported, they are available in every parser
+      if (type !== BASE_TYPES[name]) {
+        types[name] = type;
+      }
+    });
+
+    // Serializing makes a deep copy
+    return JSON.parse(JSON.stringify({
+      version: SCHEMA_BUNDLE_VERSION,
+      parsedSchemas: self.parsedSchemas,
+      downloadedSchemas: self.downloadedSchemas,
+      elements: self.elements,
+      attributes: self.attributes,
+      groups: self.groups,
+      attributeGroups: self.attributeGroups,
+      types: types
+    }));
+  },
+
+  // Adds schemas from a snapshot made with exportSchemas
+  importSchemas: function (bundle) {
+    var self = this;
+
+    if (!bundle || bundle.version !== SCHEMA_BUNDLE_VERSION) {
+      throw new errors.SchemaError('INVALID_BUNDLE', "Unsupported schema bundle version: " + (bundle && bundle.version) + ", schemas have to be exported again", {
+        expected: SCHEMA_BUNDLE_VERSION,
+        actual: bundle && bundle.version
+      });
+    }
+
+    // Bundle could be imported into multiple parsers so we make a deep copy
+    bundle = JSON.parse(JSON.stringify(bundle));
+
+    _.each(['parsedSchemas', 'downloadedSchemas'], function (key) {
+      _.each(bundle[key], function (values, namespace) {
+        _.each(values, function (value) {
+          multivalue.addValue(self[key], namespace, value);
+        });
+      });
+    });
+
+    _.extend(self.elements, bundle.elements);
+    addSubstitutionGroups(self, bundle.elements);
+    _.extend(self.attributes, bundle.attributes);
+    _.extend(self.groups, bundle.groups);
+    _.extend(self.attributeGroups, bundle.attributeGroups);
+    _.extend(self.types, bundle.types);
   }
 };
 
+exports.XSI_NAMESPACE = XSI_NAMESPACE;
 exports.BASE_TYPES = BASE_TYPES;
 exports.XsdMixin = XsdMixin;
@@ -0,0 +1,27 @@
+// Converts XML to JavaScript and outputs XML built back from the result, so that the order
+// of built elements can be compared with the original document.
+
+var xml4js = require('../xml4js');
+var common = require('./common');
+
+function build(options, schemas, builderOptions) {
+  var parser = new xml4js.Parser(options);
+
+  common.readInput([parser], schemas, function (input) {
+    common.parse(parser, input, function (result) {
+      var xml;
+      try {
+        xml = new xml4js.Builder(parser, builderOptions).buildObject(result);
+      }
+      catch (e) {
+        common.fail(e);
+        return;
+      }
+
+      console.log(xml);
+      process.exit(0);
+    });
+  });
+}
+
+module.exports = build;
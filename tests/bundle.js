@@ -0,0 +1,32 @@
+// Converts XML to JavaScript using a parser loaded from a bundle of schemas exported from
+// another parser. Output should be the same as when using schemas directly.
+
+var xml4js = require('../xml4js');
+var common = require('./common');
+var _ = require('underscore');
+
+function bundle(options, schemas) {
+  var exportingParser = new xml4js.Parser(_.clone(options));
+
+  common.readInput([exportingParser], schemas, function (input) {
+    // Bundle should survive being stored as JSON
+    var schemaBundle = JSON.parse(JSON.stringify(exportingParser.exportSchemas()));
+    var parser = new xml4js.Parser(_.extend({}, options, {schemaBundle: schemaBundle}));
+
+    // Bundles of older versions would convert differently, so they are rejected
+    try {
+      new xml4js.Parser(_.clone(options)).importSchemas(_.extend({}, schemaBundle, {version: schemaBundle.version - 1}));
+      common.fail("Bundle of an older version was imported");
+      return;
+    }
+    catch (e) {
+      if (e.code !== 'INVALID_BUNDLE') {
+        throw e;
+      }
+    }
+
+    common.parse(parser, input, common.output);
+  });
+}
+
+module.exports = bundle;
@@ -0,0 +1,35 @@
+// Converts XML to JavaScript collecting validation errors, and outputs both the result and errors.
+// Errors reported by validate should be the same.
+
+var xml4js = require('../xml4js');
+var common = require('./common');
+var _ = require('underscore');
+
+function describeErrors(validationErrors) {
+  return _.map(validationErrors, function (error) {
+    return _.pick(error, 'code', 'xpath', 'element', 'attribute', 'actual', 'line', 'column');
+  });
+}
+
+function collect(options, schemas) {
+  var parser = new xml4js.Parser(_.extend({}, options, {collectErrors: true}));
+
+  common.readInput([parser], schemas, function (input) {
+    common.parse(parser, input, function (result, validationErrors) {
+      parser.validate(input, function (err, reportedErrors) {
+        if (err) {
+          common.fail(err);
+          return;
+        }
+        else if (!_.isEqual(describeErrors(reportedErrors), describeErrors(validationErrors))) {
+          common.fail("Errors reported by validate differ");
+          return;
+        }
+
+        common.output({result: result, errors: describeErrors(validationErrors)});
+      });
+    });
+  });
+}
+
+module.exports = collect;
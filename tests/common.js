@@ -0,0 +1,62 @@
+// Steps shared by test programs: adding schemas to parsers, reading a document from the standard input,
+// converting it, and outputting the result as JSON. Schema errors exit with 2, other errors with 1.
+
+function fail(err) {
+  console.error(err.stack || '' + err);
+  process.exit(1);
+}
+
+// Adds schemas to all parsers and calls callback with the whole standard input
+function readInput(parsers, schemas, callback) {
+  var remaining = parsers.slice();
+
+  var next = function (err) {
+    if (err) {
+      console.error('' + err);
+      process.exit(2);
+      return;
+    }
+
+    if (remaining.length) {
+      remaining.shift().addSchemas(schemas, next);
+      return;
+    }
+
+    var input = '';
+    process.stdin.setEncoding('utf-8');
+    process.stdin.on('data', function (chunk) {
+      input += chunk;
+    }).on('end', function () {
+      callback(input);
+    });
+  };
+
+  next();
+}
+
+// Converts input, failing on an error, and calls callback with the result and collected validation errors
+function parse(parser, input, callback) {
+  parser.parseString(input, function (err, result, validationErrors) {
+    if (err) {
+      fail(err);
+      return;
+    }
+
+    callback(result, validationErrors);
+  });
+}
+
+// BigInt values cannot be serialized as JSON, so they are output as strings with the n suffix
+function output(result) {
+  console.log(JSON.stringify(result, function (key, value) {
+    return typeof value === 'bigint' ? value + 'n' : value;
+  }, 2));
+  process.exit(0);
+}
+
+module.exports = {
+  fail: fail,
+  readInput: readInput,
+  parse: parse,
+  output: output
+};
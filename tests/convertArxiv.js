@@ -1,5 +1,13 @@
 #!/usr/bin/env node
 
+var fs = require('fs');
+var path = require('path');
+var url = require('url');
+var bundle = require('./bundle');
+var keys = require('./keys');
+var roundtrip = require('./roundtrip');
+var stream = require('./stream');
+var xml4js = require('../xml4js');
 var xml4json = require('../lib/xml4json');
 
 var SCHEMAS = {
@@ -14,6 +22,71 @@ var SCHEMAS = {
   'http://arxiv.org/OAI/arXivRaw/': './arxiv/arXivRaw.xsd'
 };
 
-xml4json({
-  downloadSchemas: false
-}, SCHEMAS);
+// Prefixes used for keys with prefix key style
+var KEY_PREFIXES = {
+  'http://www.openarchives.org/OAI/2.0/': 'oai',
+  'http://www.openarchives.org/OAI/2.0/oai_dc/': 'oai_dc',
+  'http://purl.org/dc/elements/1.1/': 'dc',
+  'http://www.w3.org/XML/1998/namespace': 'xml',
+  'http://arxiv.org/OAI/arXiv/': 'arXiv',
+  'http://arxiv.org/OAI/arXivOld/': 'arXivOld',
+  'http://arxiv.org/OAI/arXivRaw/': 'arXivRaw'
+};
+
+var RECORD_PATH = '/{http://www.openarchives.org/OAI/2.0/}OAI-PMH/ListRecords/record';
+
+var OPTIONS = {
+  downloadSchemas: false,
+  validateFacets: true
+};
+
+// Schemas are found through the catalog instead of being added
+var CATALOG_OPTIONS = {
+  downloadSchemas: false,
+  validateFacets: true,
+  catalogs: ['./arxiv/catalog.xml']
+};
+
+// Schemas are "downloaded" through a loader which stands in for the network
+var LOADER_OPTIONS = {
+  downloadSchemas: true,
+  validateFacets: true,
+  schemaLoader: xml4js.loaders.chainLoaders(
+    xml4js.loaders.memoryLoader({
+      'http://www.w3.org/2001/03/xml.xsd': fs.readFileSync('./arxiv/xml.xsd', {encoding: 'utf-8'})
+    }),
+    function (namespace, location, base, cb) {
+      var file = './arxiv/' + path.basename(url.parse(location).pathname);
+      if (!fs.existsSync(file)) {
+        cb(null, null);
+        return;
+      }
+      fs.readFile(file, {encoding: 'utf-8'}, cb);
+    }
+  )
+};
+
+if (process.argv[2] === '--roundtrip') {
+  roundtrip(OPTIONS, SCHEMAS);
+}
+else if (process.argv[2] === '--clark') {
+  keys(OPTIONS, SCHEMAS, {}, 'clark', {});
+}
+else if (process.argv[2] === '--prefix') {
+  keys(OPTIONS, SCHEMAS, {}, 'prefix', KEY_PREFIXES);
+}
+else if (process.argv[2] === '--stream') {
+  stream(OPTIONS, SCHEMAS, RECORD_PATH);
+}
+else if (process.argv[2] === '--catalog') {
+  xml4json(CATALOG_OPTIONS);
+}
+else if (process.argv[2] === '--loader') {
+  xml4json(LOADER_OPTIONS);
+}
+else if (process.argv[2] === '--bundle') {
+  bundle(OPTIONS, SCHEMAS);
+}
+else {
+  xml4json(OPTIONS, SCHEMAS);
+}
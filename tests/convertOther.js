@@ -1,13 +1,184 @@
 #!/usr/bin/env node
 
+var build = require('./build');
+var bundle = require('./bundle');
+var collect = require('./collect');
+var keys = require('./keys');
+var lenient = require('./lenient');
+var locations = require('./locations');
+var promise = require('./promise');
+var roundtrip = require('./roundtrip');
 var xml4json = require('../lib/xml4json');
+var _ = require('underscore');
 
 var SCHEMAS = {
   'http://www.example.org/Other1': './other/test1.xsd',
-  'http://www.example.org/Other2': './other/test2.xsd'
+  'http://www.example.org/Other2': './other/test2.xsd',
+  'http://www.example.org/Other3': './other/test3.xsd',
+  'http://www.example.org/Other4': './other/test4.xsd',
+  'http://www.example.org/Other5': './other/test5.xsd',
+  '': './other/test6.xsd',
+  'http://www.example.org/Other7': './other/test7.xsd',
+  'http://www.example.org/Other8': './other/test8.xsd',
+  'http://www.example.org/Other9': './other/test9.xsd',
+  'http://www.example.org/Other10': './other/test10.xsd',
+  'http://www.example.org/Other11': './other/test11.xsd',
+  'http://www.example.org/Other12': './other/test12.xsd',
+  'http://www.example.org/Other13': './other/test13.xsd',
+  'http://www.example.org/Other14': './other/test14.xsd',
+  'http://www.example.org/Other15': './other/test15.xsd',
+  'http://www.example.org/Other16': './other/test16.xsd',
+  'http://www.example.org/Other17': './other/test17.xsd',
+  'http://www.example.org/Other18': './other/test18.xsd',
+  'http://www.example.org/Other19': './other/test19.xsd',
+  'http://www.example.org/Other20': './other/test20.xsd',
+  'http://www.example.org/Other21': './other/test21.xsd',
+  'http://www.example.org/Other22': './other/test22.xsd',
+  'http://www.example.org/Other23': './other/test23.xsd',
+  'http://www.example.org/Other24': './other/test24.xsd',
+  'http://www.example.org/Other25': './other/test25.xsd'
 };
 
-xml4json({
+var OPTIONS = {
   downloadSchemas: false,
   trim: true
-}, SCHEMAS);
+};
+
+// Prefixes used in original documents
+var BUILDER_OPTIONS = {
+  prefixes: {
+    'http://www.example.org/Other1': '',
+    'http://www.example.org/Other2': '',
+    'http://www.example.org/Other3': '',
+    'http://www.example.org/Other4': '',
+    'http://www.example.org/Other4/imported': 'imported',
+    'http://www.example.org/Other5': '',
+    'http://www.example.org/Other7': '',
+    'http://www.example.org/Other8': '',
+    'http://www.example.org/Other9': '',
+    'http://www.example.org/Other20': '',
+    'http://www.example.org/Other20/shapes': 's',
+    'http://www.example.org/Other23': '',
+    'http://www.example.org/categories': 'cat'
+  }
+};
+
+// Prefixes used for keys with prefix key style, the default namespace is used without a prefix
+var KEY_PREFIXES = {
+  'http://www.example.org/Other1': 'o1',
+  'http://www.example.org/Other2': 'o2',
+  'http://www.example.org/Other3': 'o3',
+  'http://www.example.org/Other4': '',
+  'http://www.example.org/Other4/imported': 'imported',
+  'http://www.example.org/Other5': 'o5',
+  'http://www.example.org/Other7': 'o7',
+  'http://www.example.org/Other8': 'o8',
+  'http://www.example.org/Other9': 'o9',
+  'http://www.example.org/categories': 'cat'
+};
+
+// Numbers which do not fit into a JavaScript number are kept as strings
+var NUMBERS_OPTIONS = {
+  numberTypes: {
+    integer: 'string',
+    decimal: 'string'
+  }
+};
+
+// Stands for a decimal library, keeping the lexical value of a decimal
+function Decimal(value) {
+  this.decimal = value;
+}
+
+Decimal.prototype.toString = function () {
+  return this.decimal;
+};
+
+// Integers are converted to BigInt values and decimals using a constructor
+var BIG_NUMBERS_OPTIONS = {
+  numberTypes: {
+    integer: 'bigint',
+    decimal: Decimal
+  }
+};
+
+// Colors are converted to numbers and dates are kept as strings
+var TYPES_OPTIONS = {
+  types: {
+    '{http://www.example.org/Other11}colorType': {
+      parse: function (value) {
+        return parseInt(value.slice(1), 16);
+      },
+      serialize: function (value) {
+        return '#' + ('00000' + value.toString(16).toUpperCase()).slice(-6);
+      }
+    },
+    '{http://www.w3.org/2001/XMLSchema}date': {
+      parse: function (value) {
+        return value;
+      }
+    }
+  }
+};
+
+if (process.argv[2] === '--roundtrip') {
+  roundtrip(OPTIONS, SCHEMAS, BUILDER_OPTIONS);
+}
+else if (process.argv[2] === '--clark') {
+  keys(OPTIONS, SCHEMAS, BUILDER_OPTIONS, 'clark', {});
+}
+else if (process.argv[2] === '--prefix') {
+  keys(OPTIONS, SCHEMAS, BUILDER_OPTIONS, 'prefix', KEY_PREFIXES);
+}
+else if (process.argv[2] === '--build') {
+  build(OPTIONS, SCHEMAS, BUILDER_OPTIONS);
+}
+else if (process.argv[2] === '--bundle') {
+  bundle(OPTIONS, SCHEMAS);
+}
+else if (process.argv[2] === '--locations') {
+  locations(OPTIONS, SCHEMAS);
+}
+else if (process.argv[2] === '--promise') {
+  promise(OPTIONS, SCHEMAS);
+}
+else if (process.argv[2] === '--collect') {
+  collect(_.extend({}, OPTIONS, {validateFacets: true}), SCHEMAS);
+}
+else if (process.argv[2] === '--namespaced') {
+  xml4json(_.extend({}, OPTIONS, {keyStyle: 'clark'}), SCHEMAS);
+}
+else if (process.argv[2] === '--preserve') {
+  // No builder prefixes, those preserved from the original document are used
+  roundtrip(_.extend({}, OPTIONS, {preserveNamespaces: true}), SCHEMAS, {});
+}
+else if (process.argv[2] === '--mixed') {
+  xml4json(_.extend({}, OPTIONS, {orderMixedContent: true}), SCHEMAS);
+}
+else if (process.argv[2] === '--mixed-roundtrip') {
+  // Untrimmed text and XML built without indentation, so that text of mixed content is built back as it was
+  roundtrip(_.extend({}, OPTIONS, {orderMixedContent: true, trim: false}), SCHEMAS, _.extend({}, BUILDER_OPTIONS, {renderOpts: {pretty: false}}));
+}
+else if (process.argv[2] === '--defaults') {
+  collect(_.extend({}, OPTIONS, {applyDefaults: true}), SCHEMAS);
+}
+else if (process.argv[2] === '--identity') {
+  // References are resolved to paths so that the result can be output as JSON
+  collect(_.extend({}, OPTIONS, {checkIdentityConstraints: true, resolveReferences: 'path'}), SCHEMAS);
+}
+else if (process.argv[2] === '--lenient') {
+  lenient(OPTIONS, SCHEMAS);
+}
+else if (process.argv[2] === '--types') {
+  xml4json(_.extend({}, OPTIONS, TYPES_OPTIONS, {validateFacets: true}), SCHEMAS);
+}
+else if (process.argv[2] === '--bignumbers') {
+  // Values are built back to check that they are serialized without losing precision
+  roundtrip(_.extend({}, OPTIONS, BIG_NUMBERS_OPTIONS, {validateFacets: true}), SCHEMAS, BUILDER_OPTIONS);
+}
+else if (process.argv[2] === '--numbers') {
+  xml4json(_.extend({}, OPTIONS, NUMBERS_OPTIONS, {validateFacets: true}), SCHEMAS);
+}
+else {
+  xml4json(OPTIONS, SCHEMAS);
+}
@@ -1,5 +1,8 @@
 #!/usr/bin/env node
 
+var bundle = require('./bundle');
+var keys = require('./keys');
+var roundtrip = require('./roundtrip');
 var xml4json = require('../lib/xml4json');
 
 var SCHEMAS = {
@@ -8,6 +11,37 @@ var SCHEMAS = {
   'http://www.example.com/Report': './xml/report.xsd'
 };
 
-xml4json({
+var OPTIONS = {
   downloadSchemas: false
-}, SCHEMAS);
+};
+
+// Prefixes used in original documents
+var BUILDER_OPTIONS = {
+  prefixes: {
+    'http://www.example.com/PO': '',
+    'http://www.example.com/IPO': 'ipo'
+  }
+};
+
+// Prefixes used for keys with prefix key style
+var KEY_PREFIXES = {
+  'http://www.example.com/PO': 'po',
+  'http://www.example.com/IPO': 'ipo',
+  'http://www.example.com/Report': 'r'
+};
+
+if (process.argv[2] === '--roundtrip') {
+  roundtrip(OPTIONS, SCHEMAS, BUILDER_OPTIONS);
+}
+else if (process.argv[2] === '--clark') {
+  keys(OPTIONS, SCHEMAS, BUILDER_OPTIONS, 'clark', {});
+}
+else if (process.argv[2] === '--prefix') {
+  keys(OPTIONS, SCHEMAS, BUILDER_OPTIONS, 'prefix', KEY_PREFIXES);
+}
+else if (process.argv[2] === '--bundle') {
+  bundle(OPTIONS, SCHEMAS);
+}
+else {
+  xml4json(OPTIONS, SCHEMAS);
+}
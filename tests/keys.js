@@ -0,0 +1,109 @@
+// Converts XML to JavaScript with a given key style (see keyStyle option) and checks that keys are in that
+// style, that they name the same elements and attributes as local names, and that XML built back from the
+// result converts to the same result. Outputs the result with local names, for comparison with other tests.
+
+var xml4js = require('../xml4js');
+var objects = require('../lib/objects');
+var common = require('./common');
+var _ = require('underscore');
+
+// Calls fn for every element and attribute key in the result
+function eachKey(value, attrkey, charkey, fn) {
+  if (_.isArray(value)) {
+    _.each(value, function (v) {
+      eachKey(v, attrkey, charkey, fn);
+    });
+  }
+  else if (objects.isPlainObject(value)) {
+    _.each(value, function (child, key) {
+      if (key === attrkey) {
+        _.each(_.keys(child), fn);
+      }
+      else if (key !== charkey) {
+        fn(key);
+        eachKey(child, attrkey, charkey, fn);
+      }
+    });
+  }
+}
+
+function localName(key) {
+  return key.replace(/^\{[^}]*\}/, '').replace(/^[^:]+:/, '');
+}
+
+function toLocalNames(value, attrkey, charkey) {
+  if (_.isArray(value)) {
+    return _.map(value, function (v) {
+      return toLocalNames(v, attrkey, charkey);
+    });
+  }
+  else if (!objects.isPlainObject(value)) {
+    return value;
+  }
+  var renamed = {};
+  _.each(value, function (child, key) {
+    if (key === attrkey) {
+      renamed[key] = _.object(_.map(child, function (v, k) {
+        return [localName(k), v];
+      }));
+    }
+    else if (key === charkey) {
+      renamed[key] = child;
+    }
+    else {
+      renamed[localName(key)] = toLocalNames(child, attrkey, charkey);
+    }
+  });
+  return renamed;
+}
+
+function keys(options, schemas, builderOptions, keyStyle, keyPrefixes) {
+  var parser = new xml4js.Parser(_.clone(options));
+  var styledParser = new xml4js.Parser(_.extend({}, options, {keyStyle: keyStyle, keyPrefixes: keyPrefixes}));
+
+  common.readInput([parser, styledParser], schemas, function (input) {
+    common.parse(parser, input, function (result) {
+      common.parse(styledParser, input, function (styledResult) {
+        var attrkey = parser.options.attrkey;
+        var charkey = parser.options.charkey;
+        var prefixes = _.invert(keyPrefixes);
+        var invalidKeys = [];
+        eachKey(styledResult, attrkey, charkey, function (key) {
+          var clark = /^\{(.+)\}/.exec(key);
+          var prefix = /^([^{:]+):/.exec(key);
+          if (keyStyle === 'clark' ? prefix : (clark && _.has(keyPrefixes, clark[1])) || (prefix && !_.has(prefixes, prefix[1]))) {
+            invalidKeys.push(key);
+          }
+        });
+        if (invalidKeys.length) {
+          common.fail("Keys not in " + keyStyle + " style: " + _.uniq(invalidKeys).join(", "));
+          return;
+        }
+        if (!_.isEqual(toLocalNames(styledResult, attrkey, charkey), toLocalNames(result, attrkey, charkey))) {
+          common.fail("Result with " + keyStyle + " keys differs from the result with local names");
+          return;
+        }
+
+        var xml;
+        try {
+          xml = new xml4js.Builder(styledParser, builderOptions).buildObject(styledResult);
+        }
+        catch (e) {
+          common.fail(e);
+          return;
+        }
+
+        common.parse(styledParser, xml, function (roundtripResult) {
+          if (!_.isEqual(styledResult, roundtripResult)) {
+            common.fail("Converting built XML does not produce the same result:\n" + xml);
+            return;
+          }
+
+          common.output(result);
+        });
+      });
+    });
+  });
+}
+
+module.exports = keys;
@@ -0,0 +1,21 @@
+// Converts XML to JavaScript with strictSchema disabled, and outputs both the result and warnings
+// about elements and attributes not covered by schemas.
+
+var xml4js = require('../xml4js');
+var common = require('./common');
+var _ = require('underscore');
+
+function lenient(options, schemas) {
+  var parser = new xml4js.Parser(_.extend({}, options, {strictSchema: false}));
+
+  common.readInput([parser], schemas, function (input) {
+    common.parse(parser, input, function (result) {
+      var warnings = _.map(parser.warnings, function (warning) {
+        return _.pick(warning, 'code', 'xpath', 'element', 'attribute', 'line', 'column');
+      });
+      common.output({result: result, warnings: warnings});
+    });
+  });
+}
+
+module.exports = lenient;
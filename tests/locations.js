@@ -0,0 +1,42 @@
+// Converts XML to JavaScript and outputs the result if a document naming a local schema file for
+// a namespace without added schemas cannot be converted, neither without automatic downloading of
+// schemas, when the file is not read at all, nor with it, when only http and https locations are read.
+
+var path = require('path');
+var xml4js = require('../xml4js');
+var common = require('./common');
+var _ = require('underscore');
+
+var UNTRUSTED_NAMESPACE = 'http://www.example.org/Untrusted';
+
+function locations(options, schemas) {
+  var parser = new xml4js.Parser(_.extend({}, options, {downloadSchemas: false}));
+  var downloading = new xml4js.Parser(_.extend({}, options, {downloadSchemas: true}));
+
+  common.readInput([parser, downloading], schemas, function (input) {
+    common.parse(parser, input, function (result) {
+      // Any existing file would do, a schema is used so that reading it would succeed
+      var file = 'file://' + path.resolve(_.values(schemas)[0]);
+      var untrusted = '<root xmlns="' + UNTRUSTED_NAMESPACE + '" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" ' +
+        'xsi:schemaLocation="' + UNTRUSTED_NAMESPACE + ' ' + file + '"/>';
+
+      parser.parseString(untrusted, function (err) {
+        if (!err || err.code !== 'SCHEMA_DOWNLOAD_DISABLED') {
+          common.fail("Local schema named by a document was read: " + (err || "no error"));
+          return;
+        }
+
+        downloading.parseString(untrusted, function (err) {
+          if (!err || err.code !== 'SCHEMA_LOCATION_UNTRUSTED') {
+            common.fail("Local schema named by a document was read with downloading: " + (err || "no error"));
+            return;
+          }
+
+          common.output(result);
+        });
+      });
+    });
+  });
+}
+
+module.exports = locations;
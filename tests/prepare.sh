@@ -3,6 +3,18 @@
 XML4JSON_ARXIV="./convertArxiv.js"
 XML4JSON_XML="./convertXml.js"
 XML4JSON_OTHER="./convertOther.js"
+NUMBERS_OTHER="./convertOther.js --numbers"
+BIG_NUMBERS_OTHER="./convertOther.js --bignumbers"
+TYPES_OTHER="./convertOther.js --types"
+COLLECT_OTHER="./convertOther.js --collect"
+LENIENT_OTHER="./convertOther.js --lenient"
+NAMESPACED_OTHER="./convertOther.js --namespaced"
+PRESERVE_OTHER="./convertOther.js --preserve"
+MIXED_OTHER="./convertOther.js --mixed"
+MIXED_ROUNDTRIP_OTHER="./convertOther.js --mixed-roundtrip"
+DEFAULTS_OTHER="./convertOther.js --defaults"
+IDENTITY_OTHER="./convertOther.js --identity"
+BUILD_OTHER="./convertOther.js --build"
 
 function download() {
     local url="$1"
@@ -35,11 +47,13 @@ function convertXml() {
 
 function convertOther() {
     local basename="./other/$1"
+    local program="${2:-$XML4JSON_OTHER}"
+    local extension="${3:-json}"
     local output
-    if [ ! -e "$basename.json" ]; then
-        echo "Converting $basename.xml to $basename.json"
-        output=$(cat "$basename.xml" | $XML4JSON_OTHER)
-        echo "$output" > "$basename.json"
+    if [ ! -e "$basename.$extension" ]; then
+        echo "Converting $basename.xml to $basename.$extension"
+        output=$(cat "$basename.xml" | $program)
+        echo "$output" > "$basename.$extension"
     fi
 }
 
@@ -75,3 +89,29 @@ convertXml "4Q99"
 
 convertOther "test1"
 convertOther "test2"
+convertOther "test3"
+convertOther "test4"
+convertOther "test5"
+convertOther "test6"
+convertOther "test7"
+convertOther "test8"
+convertOther "test9"
+convertOther "test18"
+convertOther "test20"
+convertOther "test23"
+convertOther "test24"
+convertOther "test10" "$NUMBERS_OTHER"
+convertOther "test10" "$BIG_NUMBERS_OTHER" "bignumbers.json"
+convertOther "test11" "$TYPES_OTHER"
+convertOther "test12" "$COLLECT_OTHER"
+convertOther "test13" "$LENIENT_OTHER"
+convertOther "test14" "$NAMESPACED_OTHER"
+convertOther "test15" "$PRESERVE_OTHER"
+convertOther "test16" "$MIXED_OTHER"
+convertOther "test16" "$MIXED_ROUNDTRIP_OTHER" "roundtrip.json"
+convertOther "test17" "$DEFAULTS_OTHER"
+convertOther "test19" "$IDENTITY_OTHER"
+convertOther "test21" "$COLLECT_OTHER"
+convertOther "test22" "$COLLECT_OTHER"
+convertOther "test25" "$COLLECT_OTHER"
+convertOther "test23" "$BUILD_OTHER" "built.xml"
@@ -0,0 +1,45 @@
+// Converts XML to JavaScript using promises: adding schemas and parsing with a parser, parsing with
+// a parser collecting errors, and parsing with a parser created for a bundle of schemas. Outputs
+// the result if all of them are the same as the result passed to a callback.
+
+var xml4js = require('../xml4js');
+var common = require('./common');
+var _ = require('underscore');
+
+function promise(options, schemas) {
+  var parser = new xml4js.Parser(_.clone(options));
+  var collectingParser = new xml4js.Parser(_.extend({}, options, {collectErrors: true}));
+
+  Promise.all([parser.addSchemas(schemas), collectingParser.addSchemas(schemas)]).then(function () {
+    common.readInput([], schemas, function (input) {
+      common.parse(parser, input, function (result) {
+        Promise.all([
+          parser.parse(input),
+          collectingParser.parse(input),
+          xml4js.parse(input, _.extend({}, options, {schemaBundle: parser.exportSchemas()}))
+        ]).then(function (results) {
+          if (!_.isEqual(results[0], result)) {
+            common.fail("Resolved result differs");
+            return;
+          }
+          // Collected errors are resolved together with the result
+          if (!_.isEqual(results[1], {result: result, validationErrors: []})) {
+            common.fail("Resolved result with collected errors differs");
+            return;
+          }
+          if (!_.isEqual(results[2], result)) {
+            common.fail("Result resolved by xml4js.parse differs");
+            return;
+          }
+
+          common.output(result);
+        }, common.fail);
+      });
+    });
+  }, function (err) {
+    console.error('' + err);
+    process.exit(2);
+  });
+}
+
+module.exports = promise;
@@ -0,0 +1,35 @@
+// Converts XML to JavaScript, builds XML back from it, and converts that XML again. Outputs the
+// result if both conversions are equal (ignoring the order of keys, because elements are built
+// in the schema order which might differ from the order in the original XML).
+
+var xml4js = require('../xml4js');
+var common = require('./common');
+var _ = require('underscore');
+
+function roundtrip(options, schemas, builderOptions) {
+  var parser = new xml4js.Parser(options);
+
+  common.readInput([parser], schemas, function (input) {
+    common.parse(parser, input, function (result) {
+      var xml;
+      try {
+        xml = new xml4js.Builder(parser, builderOptions).buildObject(result);
+      }
+      catch (e) {
+        common.fail(e);
+        return;
+      }
+
+      common.parse(parser, xml, function (roundtripResult) {
+        if (!_.isEqual(result, roundtripResult)) {
+          common.fail("Converting built XML does not produce the same result:\n" + xml);
+          return;
+        }
+
+        common.output(result);
+      });
+    });
+  });
+}
+
+module.exports = roundtrip;
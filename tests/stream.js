@@ -0,0 +1,75 @@
+// Converts XML to JavaScript both at once and by streaming it in small chunks with records at
+// the given path. Outputs the result if streamed records and the rest of the document match it, and if
+// an invalid record path is reported asynchronously.
+
+var PassThrough = require('stream').PassThrough;
+var xml4js = require('../xml4js');
+var common = require('./common');
+var _ = require('underscore');
+
+var CHUNK_SIZE = 64;
+
+function stream(options, schemas, recordPath) {
+  var parser = new xml4js.Parser(options);
+
+  common.readInput([parser], schemas, function (input) {
+    common.parse(parser, input, function (result) {
+      // An invalid record path is reported asynchronously, as other errors
+      var returned = false;
+      parser.parseStream(new PassThrough(), 'record', _.identity, function (err) {
+        if (!returned || !err || err.code !== 'INVALID_RECORD_PATH') {
+          common.fail("Invalid record path was not reported asynchronously: " + (err || "no error"));
+          return;
+        }
+
+        streamRecords(parser, input, result, recordPath);
+      });
+      returned = true;
+    });
+  });
+}
+
+function streamRecords(parser, input, result, recordPath) {
+  var records = [];
+  var inputStream = new PassThrough();
+  parser.parseStream(inputStream, recordPath, function (record) {
+    records.push(record);
+  }, function (err, rest) {
+    if (err) {
+      common.fail(err);
+      return;
+    }
+
+    // Output uses local names, so we put records back using local names of the path
+    var names = _.map(recordPath.split(/\/(?![^{]*\})/).slice(1), function (segment) {
+      return segment.replace(/^\{.*\}/, '');
+    });
+    var parent = _.reduce(names.slice(0, -1), function (obj, name) {
+      return obj && obj[name];
+    }, rest);
+
+    // Delivered records should not be kept in memory until the end
+    if (parent && _.has(parent, _.last(names))) {
+      common.fail("Streamed records were not removed from the result");
+      return;
+    }
+
+    if (parent && records.length) {
+      parent[_.last(names)] = records;
+    }
+
+    if (!_.isEqual(result, rest)) {
+      common.fail("Streamed records do not produce the same result");
+      return;
+    }
+
+    common.output(result);
+  });
+
+  for (var i = 0; i < input.length; i += CHUNK_SIZE) {
+    inputStream.write(input.slice(i, i + CHUNK_SIZE));
+  }
+  inputStream.end();
+}
+
+module.exports = stream;
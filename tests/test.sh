@@ -3,6 +3,29 @@
 XML4JSON_ARXIV="./convertArxiv.js"
 XML4JSON_XML="./convertXml.js"
 XML4JSON_OTHER="./convertOther.js"
+ROUNDTRIP_ARXIV="./convertArxiv.js --roundtrip"
+ROUNDTRIP_XML="./convertXml.js --roundtrip"
+ROUNDTRIP_OTHER="./convertOther.js --roundtrip"
+STREAM_ARXIV="./convertArxiv.js --stream"
+CATALOG_ARXIV="./convertArxiv.js --catalog"
+LOADER_ARXIV="./convertArxiv.js --loader"
+BUNDLE_ARXIV="./convertArxiv.js --bundle"
+BUNDLE_XML="./convertXml.js --bundle"
+BUNDLE_OTHER="./convertOther.js --bundle"
+PROMISE_OTHER="./convertOther.js --promise"
+LOCATIONS_OTHER="./convertOther.js --locations"
+NUMBERS_OTHER="./convertOther.js --numbers"
+BIG_NUMBERS_OTHER="./convertOther.js --bignumbers"
+TYPES_OTHER="./convertOther.js --types"
+COLLECT_OTHER="./convertOther.js --collect"
+LENIENT_OTHER="./convertOther.js --lenient"
+NAMESPACED_OTHER="./convertOther.js --namespaced"
+PRESERVE_OTHER="./convertOther.js --preserve"
+MIXED_OTHER="./convertOther.js --mixed"
+MIXED_ROUNDTRIP_OTHER="./convertOther.js --mixed-roundtrip"
+DEFAULTS_OTHER="./convertOther.js --defaults"
+IDENTITY_OTHER="./convertOther.js --identity"
+BUILD_OTHER="./convertOther.js --build"
 
 EXIT_CODE=0
 
@@ -10,20 +33,21 @@ function test() {
     local suite="$1"
     local program="$2"
     local basename="./$suite/$3"
+    local extension="${4:-json}"
     local output
-    echo "Testing $basename.xml to $basename.json"
+    echo "Testing $basename.xml to $basename.$extension"
     output=$(cat "$basename.xml" | $program)
     exit_code=$?
     if [ $exit_code -ne 0 ]; then
         echo "Program failed"
         EXIT_CODE=$exit_code
     else
-        echo "$output" > "$basename.json-test"
-        if ! diff "$basename.json-test" "$basename.json"; then
+        echo "$output" > "$basename.$extension-test"
+        if ! diff "$basename.$extension-test" "$basename.$extension"; then
             echo "Diff failed"
             EXIT_CODE=1
         fi
-        rm -f "$basename.json-test"
+        rm -f "$basename.$extension-test"
     fi
 }
 
@@ -39,5 +63,115 @@ test "xml" "$XML4JSON_XML" "4Q99"
 
 test "other" "$XML4JSON_OTHER" "test1"
 test "other" "$XML4JSON_OTHER" "test2"
+test "other" "$XML4JSON_OTHER" "test3"
+test "other" "$XML4JSON_OTHER" "test4"
+test "other" "$XML4JSON_OTHER" "test5"
+test "other" "$XML4JSON_OTHER" "test6"
+test "other" "$XML4JSON_OTHER" "test7"
+test "other" "$XML4JSON_OTHER" "test8"
+test "other" "$XML4JSON_OTHER" "test9"
+test "other" "$XML4JSON_OTHER" "test18"
+test "other" "$XML4JSON_OTHER" "test20"
+test "other" "$XML4JSON_OTHER" "test23"
+test "other" "$XML4JSON_OTHER" "test24"
+test "other" "$NUMBERS_OTHER" "test10"
+test "other" "$BIG_NUMBERS_OTHER" "test10" "bignumbers.json"
+test "other" "$TYPES_OTHER" "test11"
+test "other" "$COLLECT_OTHER" "test12"
+test "other" "$LENIENT_OTHER" "test13"
+test "other" "$NAMESPACED_OTHER" "test14"
+test "other" "$PRESERVE_OTHER" "test15"
+test "other" "$MIXED_OTHER" "test16"
+test "other" "$MIXED_ROUNDTRIP_OTHER" "test16" "roundtrip.json"
+test "other" "$DEFAULTS_OTHER" "test17"
+test "other" "$IDENTITY_OTHER" "test19"
+test "other" "$COLLECT_OTHER" "test21"
+test "other" "$COLLECT_OTHER" "test22"
+test "other" "$COLLECT_OTHER" "test25"
+
+for METADATA_PREFIX in oai_dc arXiv arXivOld arXivRaw; do
+    for FILE in "GetRecord-$METADATA_PREFIX" "ListIdentifiers-$METADATA_PREFIX" "ListRecords-$METADATA_PREFIX"; do
+        test "arxiv" "$ROUNDTRIP_ARXIV" "$FILE"
+    done
+done
+for FILE in Identify ListMetadataFormats ListSets; do
+    test "arxiv" "$ROUNDTRIP_ARXIV" "$FILE"
+done
+
+test "xml" "$ROUNDTRIP_XML" "po"
+test "xml" "$ROUNDTRIP_XML" "ipo"
+test "xml" "$ROUNDTRIP_XML" "4Q99"
+
+test "other" "$ROUNDTRIP_OTHER" "test1"
+test "other" "$ROUNDTRIP_OTHER" "test2"
+test "other" "$ROUNDTRIP_OTHER" "test3"
+test "other" "$ROUNDTRIP_OTHER" "test4"
+test "other" "$ROUNDTRIP_OTHER" "test5"
+test "other" "$ROUNDTRIP_OTHER" "test6"
+test "other" "$ROUNDTRIP_OTHER" "test7"
+test "other" "$ROUNDTRIP_OTHER" "test8"
+test "other" "$ROUNDTRIP_OTHER" "test9"
+test "other" "$ROUNDTRIP_OTHER" "test18"
+test "other" "$ROUNDTRIP_OTHER" "test20"
+test "other" "$ROUNDTRIP_OTHER" "test23"
+test "other" "$ROUNDTRIP_OTHER" "test24"
+
+# Built XML has elements in the order of the schema, which is the order of the original document
+test "other" "$BUILD_OTHER" "test23" "built.xml"
+
+for METADATA_PREFIX in oai_dc arXiv arXivOld arXivRaw; do
+    test "arxiv" "$STREAM_ARXIV" "ListRecords-$METADATA_PREFIX"
+done
+
+for KEY_STYLE in clark prefix; do
+    for METADATA_PREFIX in oai_dc arXiv arXivOld arXivRaw; do
+        test "arxiv" "$XML4JSON_ARXIV --$KEY_STYLE" "ListRecords-$METADATA_PREFIX"
+    done
+    for FILE in po ipo 4Q99; do
+        test "xml" "$XML4JSON_XML --$KEY_STYLE" "$FILE"
+    done
+    for FILE in test1 test2 test3 test4 test5 test6 test7 test8 test9; do
+        test "other" "$XML4JSON_OTHER --$KEY_STYLE" "$FILE"
+    done
+done
+
+for METADATA_PREFIX in oai_dc arXiv arXivOld arXivRaw; do
+    for FILE in Identify ListMetadataFormats ListSets "GetRecord-$METADATA_PREFIX" "ListIdentifiers-$METADATA_PREFIX" "ListRecords-$METADATA_PREFIX"; do
+        test "arxiv" "$CATALOG_ARXIV" "$FILE"
+    done
+done
+
+for METADATA_PREFIX in oai_dc arXiv arXivOld arXivRaw; do
+    for FILE in Identify ListMetadataFormats ListSets "GetRecord-$METADATA_PREFIX" "ListIdentifiers-$METADATA_PREFIX" "ListRecords-$METADATA_PREFIX"; do
+        test "arxiv" "$LOADER_ARXIV" "$FILE"
+    done
+done
+
+for METADATA_PREFIX in oai_dc arXiv arXivOld arXivRaw; do
+    test "arxiv" "$BUNDLE_ARXIV" "ListRecords-$METADATA_PREFIX"
+done
+
+test "xml" "$BUNDLE_XML" "po"
+test "xml" "$BUNDLE_XML" "ipo"
+test "xml" "$BUNDLE_XML" "4Q99"
+
+test "other" "$BUNDLE_OTHER" "test1"
+test "other" "$BUNDLE_OTHER" "test2"
+test "other" "$BUNDLE_OTHER" "test3"
+test "other" "$BUNDLE_OTHER" "test4"
+test "other" "$BUNDLE_OTHER" "test5"
+test "other" "$BUNDLE_OTHER" "test6"
+test "other" "$BUNDLE_OTHER" "test7"
+test "other" "$BUNDLE_OTHER" "test8"
+test "other" "$BUNDLE_OTHER" "test9"
+test "other" "$BUNDLE_OTHER" "test18"
+test "other" "$BUNDLE_OTHER" "test20"
+test "other" "$BUNDLE_OTHER" "test23"
+
+for FILE in test1 test2 test3 test20 test23; do
+    test "other" "$PROMISE_OTHER" "$FILE"
+done
+
+test "other" "$LOCATIONS_OTHER" "test24"
 
 exit $EXIT_CODE
@@ -2,6 +2,7 @@
 
 var xml4json = require('./lib/xml4json');
 
+// An optional argument is a path of records to stream, e.g., /{http://www.openarchives.org/OAI/2.0/}OAI-PMH/ListRecords/record
 xml4json({
   downloadSchemas: true
-});
+}, {}, process.argv[2]);